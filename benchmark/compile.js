@@ -0,0 +1,42 @@
+/**
+ * compare `catch` and the function returned by `compile`,
+ * run `npm run benchmark`, which builds `cjs/` first
+ */
+
+const { List, Dict, Int, ifexist } = require('../cjs/index.js')
+
+// run fn again and again in the duration, return count of runs
+function countRuns(fn, duration) {
+  const end = Date.now() + duration
+  let count = 0
+  while (Date.now() < end) {
+    fn()
+    count ++
+  }
+  return count
+}
+
+const SomeList = new List([
+  new Dict({
+    id: Int,
+    name: String,
+    tags: [String],
+    age: ifexist(Number),
+  }),
+])
+
+const items = []
+for (let i = 0; i < 1000; i ++) {
+  items.push({ id: i, name: 'name' + i, tags: ['a', 'b'] })
+}
+
+const validate = SomeList.compile()
+const duration = 2000
+
+const catchRuns = countRuns(() => SomeList.catch(items), duration)
+const compileRuns = countRuns(() => validate(items), duration)
+
+console.log('list of ' + items.length + ' items, runs in ' + duration + 'ms')
+console.log('catch:   ' + catchRuns)
+console.log('compile: ' + compileRuns)
+console.log('compile is ' + (compileRuns / catchRuns).toFixed(1) + 'x of catch')
@@ -17,10 +17,15 @@ import {
   isUndefined,
   inObject,
   isNull,
+  isString,
+  isNumber,
+  isBoolean,
 } from 'ts-fns'
 
 import _Schema from './schema.js'
 import _Store from './store.js'
+import { Ty, Any } from './ty/index.js'
+import { getClassName } from './ty/typescript.js'
 
 /**
  * class SomeModel extends Model {
@@ -507,6 +512,57 @@ export class Model {
     this.$store.editable = false
   }
 
+  /**
+   * create TypeScript declarations of this model, sub models will be declared too
+   * @param {object} [options]
+   * @param {string} [options.name] name of the interface, default is the class name
+   * @returns {string}
+   */
+  static toTypeScript(options = {}) {
+    const models = []
+    const declarations = []
+
+    const declare = (SomeModel, name) => {
+      const item = models.find(item => item.model === SomeModel)
+      if (item) {
+        return item.name
+      }
+
+      models.push({ model: SomeModel, name })
+
+      // keep the position, so that sub models will be declared after this model
+      const index = declarations.length
+      declarations.push('')
+
+      const defs = getSchemaDefs(SomeModel)
+      const fields = map(defs, (def) => {
+        if (isInheritedOf(def, Model) || (isArray(def) && isInheritedOf(def[0], Model))) {
+          return def
+        }
+        if (inObject('type', def)) {
+          return def.type
+        }
+        // use default value to guess type
+        const { default: defaultValue } = def
+        return isString(defaultValue) ? String : isNumber(defaultValue) ? Number : isBoolean(defaultValue) ? Boolean : Any
+      })
+
+      declarations[index] = Ty.toTypeScript(fields, {
+        name,
+        resolve: (pattern) => {
+          if (typeof pattern === 'function' && isInheritedOf(pattern, Model)) {
+            return declare(pattern, getClassName(pattern))
+          }
+        },
+      })
+
+      return name
+    }
+
+    declare(this, options.name || getClassName(this))
+    return declarations.join('\n\n') + '\n'
+  }
+
   _ensure(key) {
     const use = (value, key) => {
       if (isInstanceOf(value, Model)) {
@@ -567,6 +623,17 @@ export default Model
 
 // ---------------------------------------------------
 
+function getSchemaDefs(SomeModel) {
+  const schema = Object.create(SomeModel.prototype).schema(_Schema)
+  const defs = {}
+  each(schema, (def, key) => {
+    if (isObject(def) || isInheritedOf(def, Model) || (isArray(def) && isInheritedOf(def[0], Model))) {
+      defs[key] = def
+    }
+  })
+  return defs
+}
+
 function convertModelToSchemaDef(SomeModel, isList) {
   const create = (data, nullable) => {
     return isInstanceOf(data, SomeModel) ? data : isObject(data) ? new SomeModel(data) : nullable ? null : new SomeModel()
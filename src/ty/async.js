@@ -0,0 +1,113 @@
+import {
+  isInstanceOf,
+} from 'ts-fns'
+
+// how many times to run validation at most, async rules may bring more async rules, i.e. asynch
+const MAX_ROUNDS = 10
+
+// the context which is validating asynchronously now
+let current = null
+
+/**
+ * run validation asynchronously,
+ * validation will run synchronously first, promises of rules will be collected and waited concurrently,
+ * then validation will run again with the resolved results, so the errors will be same as the sync one,
+ * side effects of rules (decorate, override) are skipped until all promises are settled, then run once in the last round
+ * @param {function} fn validation function, return error or null
+ * @returns {Promise<error|null>} rejected when promises are still pending after MAX_ROUNDS rounds
+ */
+export function runAsync(fn) {
+  const context = { pending: [], keys: [], results: [], dry: true }
+
+  const run = (dry) => {
+    const prev = current
+    current = context
+    context.pending = []
+    context.keys = []
+    context.dry = dry
+    try {
+      return fn()
+    }
+    finally {
+      current = prev
+    }
+  }
+
+  const next = (rounds, dry) => {
+    const error = run(dry)
+    const { pending } = context
+    if (!pending.length) {
+      // all settled, run again with side effects
+      return dry ? next(rounds, false) : Promise.resolve(error)
+    }
+    if (rounds >= MAX_ROUNDS) {
+      return Promise.reject(new Error('[Type]: async validation is still pending after ' + MAX_ROUNDS + ' rounds.'))
+    }
+    return Promise.all(pending).then(() => next(rounds + 1, true))
+  }
+
+  return Promise.resolve().then(() => next(1, true))
+}
+
+/**
+ * whether side effects of rules on data[key] can run now,
+ * false when the async validation is not settled or data[key] is waiting for a promise
+ * @param {*} data
+ * @param {string|number} key
+ */
+export function isSettledAsync(data, key) {
+  const context = current
+  if (!context) {
+    return true
+  }
+  return !context.dry && !context.keys.some(item => item.data === data && item.key === key)
+}
+
+/**
+ * get result of validate function, when the result is a promise in async validation,
+ * it will be collected and `undefined` will be returned, the resolved result will be returned in next round
+ * @param {object} owner who owns the validate function
+ * @param {*} data
+ * @param {string|number} key
+ * @param {function} fn validate function
+ */
+export function resolveAsync(owner, data, key, fn) {
+  const context = current
+  if (!context) {
+    return fn()
+  }
+
+  const value = data[key]
+  const { results } = context
+  const item = results.find(item => item.owner === owner && item.data === data && item.key === key && item.value === value)
+  if (item) {
+    return item.result
+  }
+
+  const res = fn()
+  if (!isThenable(res)) {
+    return res
+  }
+
+  const save = (result) => {
+    results.push({ owner, data, key, value, result })
+  }
+  const promise = res.then(save, error => save(isInstanceOf(error, Error) ? error : new TypeError(error)))
+  context.pending.push(promise)
+  context.keys.push({ data, key })
+}
+
+/**
+ * wait the promise before next round in async validation
+ * @param {Promise} promise
+ */
+export function waitAsync(promise) {
+  if (current) {
+    current.pending.push(promise.catch(() => null))
+  }
+}
+
+function isThenable(value) {
+  // `then` of native Promise is a native function, which is not passed by `isFunction`
+  return !!value && typeof value.then === 'function'
+}
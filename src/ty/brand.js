@@ -0,0 +1,111 @@
+import {
+  isString,
+  isInstanceOf,
+  getConstructorOf,
+} from 'ts-fns'
+
+import Type from './type.js'
+import { compileItem } from './compile.js'
+import { makeDefinition } from './definition.js'
+
+// wrappers of primitive values, BigInt is not supported by all environments
+const wrappers = typeof BigInt === 'function' ? [String, Number, Boolean, Symbol, BigInt] : [String, Number, Boolean, Symbol]
+
+export class Brand extends Type {
+  /**
+   * @param {string} name name of the brand, i.e. UserId
+   * @param {*} pattern pattern of values
+   */
+  constructor(name, pattern) {
+    if (!isString(name) || !name) {
+      throw new Error('[Brand]: name should be a string.')
+    }
+
+    super(pattern)
+    this.name = name
+    // values which are tagged by this brand, shared by clones
+    this._values = new WeakSet()
+  }
+
+  /**
+   * only check the value with the pattern, use `instance(brand)` to require the brand
+   * @param {*} value
+   */
+  catch(value) {
+    const pattern = this.pattern
+    if (isInstanceOf(pattern, Type)) {
+      const type = this.isStrict && !pattern.isStrict ? pattern.strict : pattern
+      return type.catch(unwrap(value))
+    }
+    return this.validate(unwrap(value), pattern)
+  }
+
+  _compile() {
+    const validate = compileItem(this, this.pattern)
+    return value => validate(unwrap(value))
+  }
+
+  /**
+   * validate the value and tag it with the brand,
+   * objects are tagged directly, primitive values are wrapped into objects, i.e. `new String('a')`
+   * @param {*} value
+   * @returns {*} the tagged value, a TyError will be thrown when the value does not match the pattern
+   */
+  from(value) {
+    this.assert(value)
+    const output = isTaggable(value) ? value : Object(value)
+    this._values.add(output)
+    return output
+  }
+
+  /**
+   * whether the value is tagged by this brand
+   * @param {*} value
+   */
+  is(value) {
+    return isTaggable(value) && this._values.has(value)
+  }
+
+  /**
+   * get the primitive value from the wrapper, objects will be returned directly
+   * @param {*} value
+   */
+  unwrap(value) {
+    return unwrap(value)
+  }
+
+  _toDefinition(context) {
+    return { type: 'Brand', name: this.name, pattern: makeDefinition(this.pattern, context) }
+  }
+
+  clone() {
+    const Constructor = getConstructorOf(this)
+    const ins = new Constructor(this.name, this.pattern)
+    ins._values = this._values
+    return ins
+  }
+}
+
+function isTaggable(value) {
+  return (!!value && typeof value === 'object') || typeof value === 'function'
+}
+
+function unwrap(value) {
+  return wrappers.some(Wrapper => isInstanceOf(value, Wrapper)) ? value.valueOf() : value
+}
+
+/**
+ * create a nominal type, values should be tagged by `from` to pass `instance(brand)`
+ * @param {string} name
+ * @param {*} pattern
+ * @example
+ * const UserId = brand('UserId', String)
+ * const id = UserId.from('u1')
+ * instance(UserId) // only passes the values tagged by UserId
+ */
+export function brand(name, pattern) {
+  const type = new Brand(name, pattern)
+  return type
+}
+
+export default Brand
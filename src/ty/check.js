@@ -0,0 +1,206 @@
+import {
+  isArray,
+  isObject,
+  isFunction,
+  isString,
+  isNumber,
+  isBoolean,
+} from 'ts-fns'
+
+import { create } from './rules.js'
+import { createMockContext, mockType } from './mock.js'
+
+const MAX_SHRINK_TIMES = 1000
+
+/**
+ * property-based testing, generate values by types and check them with property function,
+ * when fail, shrink the values to find out the smallest counterexample
+ * @param {function|object} property function which receive generated values and return false or throw an error when fail,
+ * or an object { property, runs, seed, maxLength }
+ * @param  {...any} types
+ * @returns {object} { passed, runs, seed, args, original, shrinks, error, message }
+ * @example
+ * const { passed } = Ty.check((a, b) => a + b === b + a, Number, Number)
+ */
+export function check(property, ...types) {
+  const options = isFunction(property) ? { property } : property
+  const { runs = 100, seed = Date.now(), maxLength } = options
+  const fn = options.property
+  if (!isFunction(fn)) {
+    throw new Error('[check]: property should be a function.')
+  }
+
+  const items = types.map(create)
+  const context = createMockContext({ seed, maxLength })
+
+  for (let i = 0; i < runs; i ++) {
+    const args = items.map(type => mockType(type, context))
+    const error = runProperty(fn, args)
+    if (!error) {
+      continue
+    }
+
+    const { args: shrunk, error: finalError, shrinks } = shrinkArgs(fn, items, args, error)
+    return {
+      passed: false,
+      runs: i + 1,
+      seed,
+      args: shrunk,
+      original: args,
+      shrinks,
+      error: finalError,
+      message: 'Property failed after ' + (i + 1) + ' runs with seed ' + seed + ' and ' + shrinks + ' shrinks, counterexample: '
+        + stringify(shrunk) + (finalError.message ? ', error: ' + finalError.message : ''),
+    }
+  }
+
+  return {
+    passed: true,
+    runs,
+    seed,
+    message: 'Property passed ' + runs + ' runs with seed ' + seed + '.',
+  }
+}
+
+export default check
+
+/**
+ * @returns {Error|null}
+ */
+function runProperty(fn, args) {
+  try {
+    const res = fn(...args)
+    return res === false ? new Error('') : null
+  }
+  catch (e) {
+    return e
+  }
+}
+
+function shrinkArgs(fn, types, args, error) {
+  let current = args
+  let currentError = error
+  let shrinks = 0
+
+  const next = () => {
+    for (let i = 0, len = current.length; i < len; i ++) {
+      const candidates = shrinkValue(current[i])
+      for (let j = 0, count = candidates.length; j < count; j ++) {
+        const candidate = candidates[j]
+        if (!types[i].test(candidate)) {
+          continue
+        }
+
+        const nextArgs = [...current]
+        nextArgs[i] = candidate
+        const err = runProperty(fn, nextArgs)
+        if (err) {
+          current = nextArgs
+          currentError = err
+          return true
+        }
+      }
+    }
+    return false
+  }
+
+  while (shrinks < MAX_SHRINK_TIMES && next()) {
+    shrinks ++
+  }
+
+  return { args: current, error: currentError, shrinks }
+}
+
+/**
+ * generate smaller values, the nearer to the head the smaller
+ * @param {*} value
+ * @returns {array}
+ */
+export function shrinkValue(value) {
+  if (isNumber(value)) {
+    if (value === 0 || !isFinite(value)) {
+      return []
+    }
+
+    const items = [0]
+    const int = Math.trunc(value)
+    if (int !== value) {
+      items.push(int)
+    }
+    else {
+      const half = Math.trunc(value / 2)
+      if (half !== 0) {
+        items.push(half)
+      }
+      items.push(value - Math.sign(value))
+    }
+    if (value < 0) {
+      items.push(-value)
+    }
+    return unique(items.filter(item => Math.abs(item) < Math.abs(value) || (item > 0 && item === -value)))
+  }
+
+  if (isString(value)) {
+    if (!value) {
+      return []
+    }
+    const items = ['', value.substr(0, Math.floor(value.length / 2))]
+    for (let i = 0, len = value.length; i < len; i ++) {
+      items.push(value.substr(0, i) + value.substr(i + 1))
+    }
+    return unique(items.filter(item => item.length < value.length))
+  }
+
+  if (isBoolean(value)) {
+    return value ? [false] : []
+  }
+
+  if (isArray(value)) {
+    if (!value.length) {
+      return []
+    }
+    const items = [[], value.slice(0, Math.floor(value.length / 2))]
+    value.forEach((item, i) => {
+      items.push([...value.slice(0, i), ...value.slice(i + 1)])
+    })
+    value.forEach((item, i) => {
+      shrinkValue(item).forEach((shrunk) => {
+        const next = [...value]
+        next[i] = shrunk
+        items.push(next)
+      })
+    })
+    return items
+  }
+
+  if (isObject(value)) {
+    const keys = Object.keys(value)
+    const items = []
+    keys.forEach((key) => {
+      const next = { ...value }
+      delete next[key]
+      items.push(next)
+    })
+    keys.forEach((key) => {
+      shrinkValue(value[key]).forEach((shrunk) => {
+        items.push({ ...value, [key]: shrunk })
+      })
+    })
+    return items
+  }
+
+  return []
+}
+
+function unique(items) {
+  return items.filter((item, i) => items.indexOf(item) === i)
+}
+
+function stringify(args) {
+  try {
+    return JSON.stringify(args)
+  }
+  catch (e) {
+    return String(args)
+  }
+}
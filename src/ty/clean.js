@@ -0,0 +1,94 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isNull,
+  inObject,
+  each,
+  clone,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import { isMatch } from './coerce.js'
+
+// rules whose value should match the given pattern
+const cleanableRules = ['ifexist', 'withDefault', 'nullable', 'shouldmatch', 'ifnotmatch', 'ifmatch', 'shouldexist', 'shouldnotexist', 'rest', 'asynch']
+
+/**
+ * create the context which is shared by all nodes when cleaning a value
+ */
+export function createCleanContext() {
+  return {
+    keyPath: [],
+    // key paths of removed keys
+    removed: [],
+  }
+}
+
+/**
+ * remove the keys which are not defined in the pattern, original value will not be changed
+ * @param {*} value
+ * @param {*} pattern
+ * @param {object} context
+ * @returns {*} a deep copy of value
+ */
+export function cleanValue(value, pattern, context) {
+  if (isInstanceOf(pattern, Type)) {
+    return pattern._clean(value, context)
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    return cleanRuleValue(value, pattern, context)
+  }
+
+  if (isArray(pattern)) {
+    if (!isArray(value)) {
+      return clone(value)
+    }
+    return value.map((item, i) => cleanEnumValue(item, pattern, { ...context, keyPath: [...context.keyPath, i] }))
+  }
+
+  if (isObject(pattern)) {
+    if (!isObject(value)) {
+      return clone(value)
+    }
+    const output = {}
+    each(value, (item, key) => {
+      if (inObject(key, pattern)) {
+        output[key] = cleanValue(item, pattern[key], { ...context, keyPath: [...context.keyPath, key] })
+      }
+      else {
+        context.removed.push([...context.keyPath, key])
+      }
+    })
+    return output
+  }
+
+  return clone(value)
+}
+
+/**
+ * clean value by the first pattern which it matches
+ * @param {*} value
+ * @param {array} patterns
+ * @param {object} context
+ */
+export function cleanEnumValue(value, patterns, context) {
+  const pattern = patterns.length === 1 ? patterns[0] : patterns.find(pattern => isMatch(value, pattern))
+  return pattern === undefined ? clone(value) : cleanValue(value, pattern, context)
+}
+
+function cleanRuleValue(value, rule, context) {
+  const { name, pattern } = rule
+
+  if (name === 'nullable' && isNull(value)) {
+    return value
+  }
+
+  if (cleanableRules.indexOf(name) > -1) {
+    return cleanValue(value, pattern, context)
+  }
+
+  return clone(value)
+}
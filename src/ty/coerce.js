@@ -0,0 +1,191 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isFunction,
+  isString,
+  isNumber,
+  isBoolean,
+  isNull,
+  inObject,
+  each,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import {
+  Numeric,
+  Int,
+  Float,
+  Negative,
+  Positive,
+  Finity,
+  Zero,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  IsoDate,
+  IsoDateTime,
+} from './prototypes.js'
+
+const numberPrototypes = [Number, Int, Float, Negative, Positive, Finity, Zero, Natural]
+const stringPrototypes = [String, String8, String16, String32, String64, String128]
+const typedArrays = [Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array]
+
+/**
+ * whether the value match the pattern
+ * @param {*} value
+ * @param {*} pattern
+ */
+export function isMatch(value, pattern) {
+  const type = isInstanceOf(pattern, Type) ? pattern : new Type(pattern)
+  return type.test(value)
+}
+
+/**
+ * convert string to number when the string is a number absolutely
+ * @param {*} value
+ */
+export function coerceNumber(value) {
+  if (isString(value) && /^\s*-?([0-9]+\.?[0-9]*|\.[0-9]+)(e[+-]?[0-9]+)?\s*$/i.test(value)) {
+    return +value
+  }
+  return value
+}
+
+/**
+ * convert value to match pattern as far as possible, original value will not be changed
+ * @param {*} value
+ * @param {*} pattern
+ * @returns {*} converted value, notice: it may not match the pattern
+ */
+export function coerceValue(value, pattern) {
+  if (isInstanceOf(pattern, Type)) {
+    return pattern._coerce(value)
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    return coerceRuleValue(value, pattern)
+  }
+
+  if (isArray(pattern)) {
+    if (!isArray(value)) {
+      return value
+    }
+    return value.map(item => coerceEnumValue(item, pattern))
+  }
+
+  if (isObject(pattern)) {
+    if (!isObject(value)) {
+      return value
+    }
+    const output = { ...value }
+    each(pattern, (pattern, key) => {
+      if (inObject(key, value)) {
+        output[key] = coerceValue(value[key], pattern)
+      }
+    })
+    return output
+  }
+
+  // no need to convert
+  if (Prototype.is(pattern).existing() && Prototype.is(pattern).typeof(value)) {
+    return value
+  }
+
+  if (numberPrototypes.indexOf(pattern) > -1) {
+    return coerceNumber(value)
+  }
+
+  if (stringPrototypes.indexOf(pattern) > -1 || pattern === Numeric || (isInstanceOf(pattern, Prototype) && pattern.stringOf)) {
+    return isNumber(value) ? value + '' : value
+  }
+
+  // Date to ISO string, invalid date will not be converted
+  if (pattern === IsoDate || pattern === IsoDateTime) {
+    if (!isInstanceOf(value, Date) || isNaN(value.getTime())) {
+      return value
+    }
+    const output = value.toISOString()
+    return pattern === IsoDate ? output.substr(0, 10) : output
+  }
+
+  // array of numbers to typed array
+  if (typedArrays.indexOf(pattern) > -1) {
+    return isArray(value) && value.every(isNumber) ? pattern.from(value) : value
+  }
+
+  if (pattern === Boolean) {
+    return value === 'true' ? true : value === 'false' ? false : value
+  }
+
+  if (pattern === Date) {
+    if (isString(value) && /^[0-9]{4}-[0-9]{2}-[0-9]{2}/.test(value)) {
+      const date = new Date(value)
+      return isNaN(date.getTime()) ? value : date
+    }
+    if (isNumber(value)) {
+      return new Date(value)
+    }
+    return value
+  }
+
+  // certain value, i.e. 10, true
+  if (!Prototype.is(pattern).existing() && (isNumber(pattern) || isBoolean(pattern))) {
+    const output = isNumber(pattern) ? coerceNumber(value) : value === String(pattern) ? pattern : value
+    return output === pattern ? output : value
+  }
+
+  return value
+}
+
+/**
+ * convert value to match one of patterns
+ * @param {*} value
+ * @param {array} patterns
+ */
+export function coerceEnumValue(value, patterns) {
+  if (patterns.some(pattern => isMatch(value, pattern))) {
+    return value
+  }
+
+  for (let i = 0, len = patterns.length; i < len; i ++) {
+    const pattern = patterns[i]
+    const output = coerceValue(value, pattern)
+    if (isMatch(output, pattern)) {
+      return output
+    }
+  }
+
+  return value
+}
+
+// rules whose value should match the given pattern
+const coercibleRules = ['ifexist', 'withDefault', 'nullable', 'shouldmatch', 'ifnotmatch', 'ifmatch', 'shouldexist', 'shouldnotexist']
+
+function coerceRuleValue(value, rule) {
+  const { name, pattern } = rule
+
+  if (name === 'nullable' && isNull(value)) {
+    return value
+  }
+
+  if (name === 'match') {
+    return pattern.reduce((value, pattern) => coerceValue(value, pattern), value)
+  }
+
+  // custom function can not be used to convert
+  if (isFunction(pattern) && !Prototype.is(pattern).existing()) {
+    return value
+  }
+
+  if (coercibleRules.indexOf(name) > -1) {
+    return coerceValue(value, pattern)
+  }
+
+  return value
+}
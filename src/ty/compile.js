@@ -0,0 +1,209 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isString,
+  isNaN,
+  inObject,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import TyError from './ty-error.js'
+
+/**
+ * create a committed error with one resource, as `tyerr.replace(resource).commit()` does
+ * @param {object|Error} resource
+ */
+export function createError(resource) {
+  const tyerr = new TyError()
+  tyerr.replace(resource)
+  tyerr.commit()
+  return tyerr.error()
+}
+
+/**
+ * whether the type can be compiled,
+ * a type whose `catch` is overrided by a custom class without `_compile` can not be compiled
+ * @param {Type} type
+ */
+export function isCompilable(type) {
+  let proto = Object.getPrototypeOf(type)
+  while (proto && !Object.prototype.hasOwnProperty.call(proto, '_compile')) {
+    if (Object.prototype.hasOwnProperty.call(proto, 'catch')) {
+      return false
+    }
+    proto = Object.getPrototypeOf(proto)
+  }
+  return true
+}
+
+/**
+ * compile a nested type, strict mode of owner will be passed into it
+ * @param {Type} owner
+ * @param {Type} type
+ * @returns {function} (value) => error|null
+ */
+export function compileType(owner, type) {
+  const target = owner.isStrict && !type.isStrict ? type.strict : type
+  return target.compile()
+}
+
+/**
+ * compile an item of array, object or Enum, works as `owner.validate(value, pattern)` or `pattern.catch(value)`
+ * @param {Type} owner
+ * @param {*} pattern
+ */
+export function compileItem(owner, pattern) {
+  return isInstanceOf(pattern, Type) ? compileType(owner, pattern) : compilePattern(owner, pattern)
+}
+
+/**
+ * compile a pattern into a function which works as `owner.validate(value, pattern)`
+ * @param {Type} owner the type which the pattern belongs to, its `name` and `isStrict` are used
+ * @param {*} pattern
+ * @returns {function} (value) => error|null
+ */
+export function compilePattern(owner, pattern) {
+  if (isArray(pattern)) {
+    return compileArray(owner, pattern)
+  }
+
+  if (isObject(pattern)) {
+    return compileObject(owner, pattern)
+  }
+
+  if (Prototype.is(pattern).existing()) {
+    return compilePrototype(pattern)
+  }
+
+  return value => value === pattern ? null : createError({ type: 'exception', value, name: 'equal', pattern })
+}
+
+function compileArray(owner, patterns) {
+  const { name } = owner
+  const items = patterns.map(pattern => compileItem(owner, pattern))
+  const count = items.length
+
+  return (value) => {
+    if (!isArray(value)) {
+      return createError({ type: 'exception', value, name: 'List', pattern: patterns })
+    }
+
+    let tyerr = null
+    for (let i = 0, len = value.length; i < len; i ++) {
+      const item = value[i]
+      const errors = []
+      for (let j = 0; j < count; j ++) {
+        const error = items[j](item)
+        if (!error) {
+          errors.length = 0
+          break
+        }
+        errors.push(error)
+      }
+
+      if (errors.length) {
+        tyerr = tyerr || new TyError()
+        tyerr.add({
+          type: 'notin',
+          value: item,
+          name,
+          pattern: patterns,
+          errors,
+          index: i,
+        })
+      }
+    }
+
+    if (!tyerr) {
+      return null
+    }
+
+    tyerr.commit()
+    return tyerr.error()
+  }
+}
+
+function compileObject(owner, patterns) {
+  const { isStrict } = owner
+  const keys = Object.keys(patterns)
+  const items = keys.map((key) => {
+    const pattern = patterns[key]
+    if (isInstanceOf(pattern, Rule)) {
+      const rule = isStrict && !pattern.isStrict ? pattern.strict : pattern
+      return { key, rule }
+    }
+    return { key, validate: compileItem(owner, pattern) }
+  })
+
+  return (data) => {
+    if (!isObject(data)) {
+      return createError({ type: 'exception', value: data, name: 'Dict', pattern: patterns })
+    }
+
+    let tyerr = null
+    const add = (resource) => {
+      tyerr = tyerr || new TyError()
+      tyerr.add(resource)
+    }
+
+    // in strict mode, keys should absolutely equal
+    if (isStrict) {
+      const dataKeys = Object.keys(data)
+      for (let i = 0, len = dataKeys.length; i < len; i ++) {
+        const key = dataKeys[i]
+        if (keys.indexOf(key) === -1) {
+          add({ type: 'overflow', key })
+        }
+      }
+    }
+
+    for (let i = 0, len = items.length; i < len; i ++) {
+      const { key, rule, validate } = items[i]
+
+      if (rule) {
+        const error = rule.catch(data, key)
+        if (!error) {
+          continue
+        }
+
+        // after validate, the property may create by rule
+        if (!inObject(key, data)) {
+          add({ type: 'missing', key })
+        }
+        else {
+          add({ error, key })
+        }
+      }
+      else if (!inObject(key, data)) {
+        add({ type: 'missing', key })
+      }
+      else {
+        const error = validate(data[key])
+        if (error) {
+          add({ error, key })
+        }
+      }
+    }
+
+    if (!tyerr) {
+      return null
+    }
+
+    tyerr.commit()
+    return tyerr.error()
+  }
+}
+
+function compilePrototype(pattern) {
+  const item = Prototype.find(pattern)
+  const test = isInstanceOf(pattern, Prototype) ? value => pattern.validate(value)
+    : item ? value => item.validate(value)
+    : isNaN(pattern) ? value => isNaN(value)
+    : isInstanceOf(pattern, RegExp) ? value => isString(value) && pattern.test(value)
+    : value => isInstanceOf(value, pattern)
+
+  return value => test(value) === true ? null : createError({ type: 'exception', value, pattern })
+}
@@ -0,0 +1,153 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isUndefined,
+  isNull,
+  isEmpty,
+  inObject,
+  each,
+  clone,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import { isMatch } from './coerce.js'
+
+// rules whose value should match the given pattern
+const fillableRules = ['ifexist', 'nullable', 'shouldmatch', 'ifnotmatch', 'ifmatch', 'shouldexist', 'shouldnotexist', 'rest', 'asynch']
+
+/**
+ * whether the pattern is a `withDefault` rule
+ * @param {*} pattern
+ */
+export function isWithDefault(pattern) {
+  return isInstanceOf(pattern, Rule) && pattern.name === 'withDefault'
+}
+
+/**
+ * get the default value of a `withDefault` rule, a new value is created each time
+ * @param {Rule} rule
+ */
+export function getDefaultValue(rule) {
+  const { value } = rule.options
+  return typeof value === 'function' ? value() : clone(value)
+}
+
+/**
+ * materialize a value from the pattern with default values
+ * @param {*} pattern
+ * @returns {*} undefined when the pattern has no default value
+ */
+export function makeDefaults(pattern) {
+  if (isInstanceOf(pattern, Type)) {
+    return pattern._defaults()
+  }
+
+  if (isWithDefault(pattern)) {
+    return getDefaultValue(pattern)
+  }
+
+  if (isObject(pattern)) {
+    const output = {}
+    each(pattern, (pattern, key) => {
+      const value = makeMissingValue(pattern)
+      if (!isUndefined(value)) {
+        output[key] = value
+      }
+    })
+    return output
+  }
+}
+
+/**
+ * the value of a missing property, objects without default values will not be created
+ * @param {*} pattern
+ */
+function makeMissingValue(pattern) {
+  const value = makeDefaults(pattern)
+  return isObject(value) && isEmpty(value) && !isWithDefault(pattern) ? undefined : value
+}
+
+/**
+ * fill missing properties with default values, original value will not be changed
+ * @param {*} value
+ * @param {*} pattern
+ * @returns {*} a new value
+ */
+export function fillValue(value, pattern) {
+  if (isInstanceOf(pattern, Type)) {
+    return pattern._fill(value)
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    return fillRuleValue(value, pattern)
+  }
+
+  if (isArray(pattern)) {
+    if (!isArray(value)) {
+      return value
+    }
+    return value.map(item => fillEnumValue(item, pattern))
+  }
+
+  if (isObject(pattern)) {
+    if (!isObject(value)) {
+      return value
+    }
+    const output = { ...value }
+    each(pattern, (pattern, key) => {
+      if (inObject(key, value)) {
+        output[key] = fillValue(value[key], pattern)
+        return
+      }
+
+      const missing = makeMissingValue(pattern)
+      if (!isUndefined(missing)) {
+        output[key] = missing
+      }
+    })
+    return output
+  }
+
+  return value
+}
+
+/**
+ * fill value by the first pattern which it matches after filled
+ * @param {*} value
+ * @param {array} patterns
+ */
+export function fillEnumValue(value, patterns) {
+  if (patterns.length === 1) {
+    return fillValue(value, patterns[0])
+  }
+
+  for (let i = 0, len = patterns.length; i < len; i ++) {
+    const pattern = patterns[i]
+    const output = fillValue(value, pattern)
+    if (isMatch(output, pattern)) {
+      return output
+    }
+  }
+
+  return value
+}
+
+function fillRuleValue(value, rule) {
+  const { name, pattern } = rule
+
+  if (name === 'withDefault') {
+    return isUndefined(value) ? getDefaultValue(rule) : fillValue(value, pattern)
+  }
+
+  if (name === 'nullable' && isNull(value)) {
+    return value
+  }
+
+  if (fillableRules.indexOf(name) > -1) {
+    return fillValue(value, pattern)
+  }
+
+  return value
+}
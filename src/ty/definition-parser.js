@@ -0,0 +1,193 @@
+import {
+  isArray,
+  isObject,
+  isString,
+  isInstanceOf,
+  inObject,
+  map,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Dict from './dict.js'
+import List from './list.js'
+import Tuple from './tuple.js'
+import Enum from './enum.js'
+import Range from './range.js'
+import Mapping from './mapping.js'
+import MapOf from './map-of.js'
+import SetOf from './set-of.js'
+import { lazy } from './lazy.js'
+import { brand } from './brand.js'
+import { StringOf } from './prototypes.js'
+import {
+  create,
+  ifexist,
+  nullable,
+  rest,
+  instance,
+  shouldmatch,
+  shouldnotmatch,
+  ifmatch,
+  ifnotmatch,
+  match,
+  lambda,
+  asyncLambda,
+  promise,
+  equal,
+  withDefault,
+} from './rules.js'
+import {
+  DEFINITION_VERSION,
+  findPrototype,
+  parseValueDefinition,
+} from './definition.js'
+
+/**
+ * restore a type from the definition generated by `type.toJSON()` or `type.toDefinition()`, i.e. `JSON.stringify(type)`
+ * @param {object|string} json definition document or its JSON string
+ * @returns {Type}
+ */
+export function parseDefinition(json) {
+  const document = isString(json) ? JSON.parse(json) : json
+  if (!isObject(document) || !inObject('definition', document)) {
+    throw new Error('[Definition]: definition should be an object with `definition`.')
+  }
+  if (document.version !== DEFINITION_VERSION) {
+    throw new Error('[Definition]: version `' + document.version + '` is not supported.')
+  }
+
+  const context = {
+    definitions: document.definitions || {},
+    // restored types of lazy refs
+    types: {},
+  }
+  const pattern = parsePattern(document.definition, context)
+  return isInstanceOf(pattern, Type) ? pattern : create(pattern)
+}
+
+function parsePattern(definition, context) {
+  if (!isObject(definition)) {
+    throw new Error('[Definition]: node should be an object.')
+  }
+
+  const parse = item => parsePattern(item, context)
+
+  if (inObject('type', definition)) {
+    const type = parseType(definition, context, parse)
+    return definition.strict ? type.toBeStrict() : type
+  }
+
+  if (inObject('rule', definition)) {
+    const rule = parseRule(definition, parse)
+    return definition.strict ? rule.toBeStrict() : rule
+  }
+
+  if (inObject('prototype', definition)) {
+    const { prototype: name, options } = definition
+    if (name === 'StringOf') {
+      const { pattern, ...others } = options || {}
+      return StringOf(pattern ? { ...others, pattern: parse(pattern) } : others)
+    }
+
+    const item = findPrototype(name)
+    if (!item) {
+      throw new Error('[Definition]: prototype `' + name + '` is not registered.')
+    }
+    return item.proto
+  }
+
+  if (inObject('regexp', definition)) {
+    return new RegExp(definition.regexp, definition.flags)
+  }
+
+  if (inObject('object', definition)) {
+    return map(definition.object, parse)
+  }
+
+  if (inObject('array', definition)) {
+    return definition.array.map(parse)
+  }
+
+  return parseValueDefinition(definition)
+}
+
+function parseType(definition, context, parse) {
+  const { type, pattern } = definition
+
+  if (type === 'Type') {
+    return new Type(parse(pattern))
+  }
+  if (type === 'Dict') {
+    return new Dict(map(pattern, parse))
+  }
+  if (type === 'List') {
+    return new List(pattern.map(parse), definition.options)
+  }
+  if (type === 'Tuple') {
+    return new Tuple(pattern.map(parse))
+  }
+  if (type === 'Enum') {
+    return inObject('by', definition) ? Enum.by(definition.by, map(pattern, parse)) : new Enum(pattern.map(parse))
+  }
+  if (type === 'Range') {
+    const { min, max, ...others } = pattern
+    return new Range({ ...others, min: parseValueDefinition(min), max: parseValueDefinition(max) })
+  }
+  if (type === 'Mapping') {
+    return new Mapping({ key: parse(pattern.key), value: parse(pattern.value) })
+  }
+  if (type === 'MapOf') {
+    return new MapOf({ key: parse(pattern.key), value: parse(pattern.value) })
+  }
+  if (type === 'SetOf') {
+    return new SetOf(parse(pattern))
+  }
+  if (type === 'Brand') {
+    return brand(definition.name, parse(pattern))
+  }
+  if (type === 'Lazy') {
+    const { ref } = definition
+    const { definitions, types } = context
+    if (!inObject(ref, definitions)) {
+      throw new Error('[Definition]: ref `' + ref + '` is not defined.')
+    }
+    return lazy(() => {
+      types[ref] = types[ref] || parse(definitions[ref])
+      return types[ref]
+    })
+  }
+
+  throw new Error('[Definition]: type `' + type + '` is not supported.')
+}
+
+function parseRule(definition, parse) {
+  const { rule, pattern, message } = definition
+  const single = { ifexist, nullable, rest, instance, promise }
+
+  if (single[rule]) {
+    return single[rule](parse(pattern))
+  }
+  if (rule === 'shouldmatch' || rule === 'shouldnotmatch') {
+    const fn = rule === 'shouldmatch' ? shouldmatch : shouldnotmatch
+    return fn(parse(pattern), message)
+  }
+  if (rule === 'ifmatch' || rule === 'ifnotmatch') {
+    const fn = rule === 'ifmatch' ? ifmatch : ifnotmatch
+    return fn(parse(pattern), parseValueDefinition(definition.value))
+  }
+  if (rule === 'withDefault') {
+    return withDefault(parse(pattern), parseValueDefinition(definition.value))
+  }
+  if (rule === 'match' && isArray(pattern)) {
+    return match(pattern.map(parse))
+  }
+  if ((rule === 'lambda' || rule === 'asyncLambda') && isArray(pattern)) {
+    const [InputType, OutputType] = pattern.map(parse)
+    return rule === 'lambda' ? lambda(InputType, OutputType) : asyncLambda(InputType, OutputType)
+  }
+  if (rule === 'equal') {
+    return equal(parseValueDefinition(pattern))
+  }
+
+  throw new Error('[Definition]: rule `' + rule + '` is not supported.')
+}
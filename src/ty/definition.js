@@ -0,0 +1,326 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isString,
+  isUndefined,
+  map,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import {
+  Null,
+  Undefined,
+  None,
+  Any,
+  Numeric,
+  Int,
+  Float,
+  Negative,
+  Positive,
+  Finity,
+  Zero,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  HexColor,
+  Semver,
+  Phone,
+  TypedArray,
+} from './prototypes.js'
+import { isJSONValue } from './json-schema.js'
+
+export const DEFINITION_VERSION = 1
+
+const natives = [
+  String,
+  Number,
+  Boolean,
+  Object,
+  Array,
+  Function,
+  Symbol,
+  Date,
+  RegExp,
+  Error,
+  Promise,
+  Map,
+  Set,
+  WeakMap,
+  WeakSet,
+  ArrayBuffer,
+  DataView,
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+]
+
+const builtins = [
+  ...natives.map(proto => ({ name: proto.name, proto })),
+  ...[
+    Null,
+    Undefined,
+    None,
+    Any,
+    Numeric,
+    Int,
+    Float,
+    Negative,
+    Positive,
+    Finity,
+    Zero,
+    Natural,
+    String8,
+    String16,
+    String32,
+    String64,
+    String128,
+    Email,
+    Url,
+    Uuid,
+    IsoDate,
+    IsoDateTime,
+    Ipv4,
+    Ipv6,
+    HexColor,
+    Semver,
+    Phone,
+    TypedArray,
+  ].map(proto => ({ name: proto.name, proto })),
+  { name: 'Infinity', proto: Infinity },
+]
+
+/**
+ * get the name of a prototype which can be restored by `findPrototype`
+ * @param {*} proto
+ * @returns {string|undefined}
+ */
+export function getPrototypeName(proto) {
+  const item = builtins.find(item => item.proto === proto) || Prototype.find(proto)
+  if (item) {
+    return item.name
+  }
+  if (typeof proto === 'number' && proto !== proto) {
+    return 'NaN'
+  }
+}
+
+/**
+ * find a built-in or registered prototype by its name
+ * @param {string} name
+ * @returns {object|undefined} { proto }
+ */
+export function findPrototype(name) {
+  if (name === 'NaN') {
+    return { proto: NaN }
+  }
+  return builtins.find(item => item.name === name) || Prototype.findByName(name)
+}
+
+/**
+ * create the context which is shared by all nodes when converting a type to definition
+ */
+export function createDefinitionContext() {
+  return {
+    // lazy types, resolved type -> ref
+    refs: new Map(),
+    definitions: {},
+  }
+}
+
+/**
+ * wrap the definition of the root type
+ * @param {object} definition
+ * @param {object} context
+ */
+export function makeDefinitionDocument(definition, context) {
+  const document = { version: DEFINITION_VERSION, definition }
+  if (context.refs.size) {
+    document.definitions = context.definitions
+  }
+  return document
+}
+
+/**
+ * convert any pattern (Type, Rule, Prototype, native prototype, value, object, array) to definition
+ * @param {*} pattern
+ * @param {object} context
+ */
+export function makeDefinition(pattern, context) {
+  if (isInstanceOf(pattern, Type)) {
+    const definition = pattern._toDefinition(context)
+    if (pattern.isStrict) {
+      definition.strict = true
+    }
+    return definition
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    return makeRuleDefinition(pattern, context)
+  }
+
+  if (isInstanceOf(pattern, Prototype) && pattern.stringOf) {
+    const { min, max, pattern: regexp } = pattern.stringOf
+    const options = {}
+    if (!isUndefined(min)) {
+      options.min = min
+    }
+    if (!isUndefined(max)) {
+      options.max = max
+    }
+    if (regexp) {
+      options.pattern = makeDefinition(regexp, context)
+    }
+    return { prototype: 'StringOf', options }
+  }
+
+  if (isInstanceOf(pattern, RegExp)) {
+    return { regexp: pattern.source, flags: pattern.flags }
+  }
+
+  const name = getPrototypeName(pattern)
+  if (name) {
+    return { prototype: name }
+  }
+
+  if (isArray(pattern)) {
+    return { array: pattern.map(item => makeDefinition(item, context)) }
+  }
+
+  if (isObject(pattern)) {
+    return { object: map(pattern, item => makeDefinition(item, context)) }
+  }
+
+  if (typeof pattern === 'function' || isInstanceOf(pattern, Prototype)) {
+    throw new Error('[Definition]: prototype `' + (pattern.name || 'anonymous') + '` is not registered, use `Prototype.register` to give it a name.')
+  }
+
+  return makeValueDefinition(pattern)
+}
+
+/**
+ * convert a certain value to definition
+ * @param {*} value
+ */
+export function makeValueDefinition(value) {
+  if (isUndefined(value)) {
+    return { undefined: true }
+  }
+  if (typeof value === 'number' && !isFinite(value)) {
+    return { number: String(value) }
+  }
+  if (typeof value === 'bigint') {
+    return { bigint: String(value) }
+  }
+  if (isInstanceOf(value, Date)) {
+    return { date: value.toISOString() }
+  }
+  if (isJSONValue(value)) {
+    return { value }
+  }
+  throw new Error('[Definition]: value `' + String(value) + '` can not be serialized.')
+}
+
+/**
+ * restore a certain value from definition
+ * @param {object} definition
+ */
+export function parseValueDefinition(definition) {
+  if (!isObject(definition)) {
+    throw new Error('[Definition]: invalid value definition.')
+  }
+  if ('value' in definition) {
+    return definition.value
+  }
+  if ('undefined' in definition) {
+    return undefined
+  }
+  if ('number' in definition) {
+    return Number(definition.number)
+  }
+  if ('bigint' in definition) {
+    if (typeof BigInt !== 'function') {
+      throw new Error('[Definition]: bigint is not supported in this environment.')
+    }
+    return BigInt(definition.bigint)
+  }
+  if ('date' in definition) {
+    return new Date(definition.date)
+  }
+  throw new Error('[Definition]: invalid value definition.')
+}
+
+/**
+ * only the rules without functions can be serialized
+ * @param {Rule} rule
+ * @param {object} context
+ */
+export function makeRuleDefinition(rule, context) {
+  const { name, pattern, message } = rule
+  const definition = { rule: name }
+  const fail = (reason) => {
+    throw new Error('[Definition]: rule `' + name + '` can not be serialized, ' + reason + '.')
+  }
+
+  if (name === 'ifexist' || name === 'nullable' || name === 'rest' || name === 'instance' || name === 'promise') {
+    definition.pattern = makeDefinition(pattern, context)
+  }
+  else if (name === 'shouldmatch' || name === 'shouldnotmatch') {
+    if (!isUndefined(message) && !isString(message)) {
+      fail('message should be a string')
+    }
+    definition.pattern = makeDefinition(pattern, context)
+    if (!isUndefined(message)) {
+      definition.message = message
+    }
+  }
+  else if (name === 'ifmatch' || name === 'ifnotmatch') {
+    const { callback } = rule.options
+    if (typeof callback === 'function') {
+      fail('callback should be a value')
+    }
+    definition.pattern = makeDefinition(pattern, context)
+    definition.value = makeValueDefinition(callback)
+  }
+  else if (name === 'withDefault') {
+    const { value } = rule.options
+    if (typeof value === 'function') {
+      fail('default value should not be a function')
+    }
+    definition.pattern = makeDefinition(pattern, context)
+    definition.value = makeValueDefinition(value)
+  }
+  else if (name === 'match' || name === 'lambda' || name === 'asyncLambda') {
+    definition.pattern = pattern.map(item => makeDefinition(item, context))
+  }
+  else if (name === 'equal') {
+    definition.pattern = makeValueDefinition(pattern)
+  }
+  else {
+    fail('it contains functions')
+  }
+
+  if (rule.isStrict) {
+    definition.strict = true
+  }
+
+  return definition
+}
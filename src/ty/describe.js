@@ -0,0 +1,236 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isString,
+  isUndefined,
+  isNaN,
+  inArray,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+
+// nodes which contain other patterns, they are replaced by their names when deeper than `depth`
+const containers = ['Object', 'Array', 'Dict', 'List', 'Tuple', 'Enum', 'Mapping', 'MapOf', 'SetOf']
+
+/**
+ * create the context which is shared by all nodes when describing a pattern
+ * @param {object} [options]
+ * @param {number} [options.depth] max depth of nested nodes to expand, default Infinity
+ * @param {number} [options.indent] spaces to indent properties of objects, default 0 to describe in one line
+ */
+export function createDescribeContext(options = {}) {
+  const { depth = Infinity, indent = 0 } = options
+  return {
+    depth,
+    indent,
+    level: 0,
+    // patterns of ancestors, to stop at recursive types
+    parents: [],
+  }
+}
+
+/**
+ * describe any pattern (Type, Rule, Prototype, native prototype, value, object, array) as a TypeScript-like signature
+ * @param {*} pattern
+ * @param {object} [options] see createDescribeContext
+ * @example
+ * describe({ name: String, tags: [String], meta: ifexist(new Mapping({ key: String, value: Number })) })
+ * // => { name: String, tags: String[], meta?: { [String]: Number } }
+ */
+export function describe(pattern, options) {
+  return describePattern(pattern, createDescribeContext(options))
+}
+
+/**
+ * describe a type or rule by its name and pattern, i.e. the `name` and `pattern` of an error trace
+ * @param {string} name
+ * @param {*} pattern
+ * @param {object} [options] see createDescribeContext
+ */
+export function describeNode(name, pattern, options) {
+  return describeNamed(name, pattern, createDescribeContext(options))
+}
+
+function describePattern(pattern, context) {
+  if (isInstanceOf(pattern, Type) || isInstanceOf(pattern, Rule)) {
+    return describeNamed(pattern.name, pattern.pattern, context, pattern)
+  }
+  if (isArray(pattern)) {
+    return describeNamed('Array', pattern, context)
+  }
+  if (isObject(pattern)) {
+    return describeNamed('Object', pattern, context)
+  }
+  return describeValue(pattern)
+}
+
+function describeNamed(name, pattern, context, owner) {
+  const describer = describers[name]
+
+  // custom types and rules
+  if (!describer) {
+    return isUndefined(pattern) ? name : name + '(' + describePattern(pattern, context) + ')'
+  }
+
+  if (inArray(name, containers)) {
+    if (context.level >= context.depth) {
+      return name
+    }
+    if (context.parents.indexOf(pattern) > -1) {
+      return '[Circular]'
+    }
+    const subContext = { ...context, level: context.level + 1, parents: [...context.parents, pattern] }
+    return describer(pattern, subContext, owner)
+  }
+
+  return describer(pattern, context, owner)
+}
+
+const describers = {
+  Object: describeObject,
+  Dict: describeObject,
+  Array: describeList,
+  List: describeList,
+  Tuple: (pattern, context) => {
+    const items = pattern.map((item) => {
+      const { optional, signature } = describeItem(item, context)
+      return optional ? wrap(signature) + '?' : signature
+    })
+    return '[' + items.join(', ') + ']'
+  },
+  Enum: (pattern, context, owner) => {
+    const items = owner && owner.discriminator ? Object.values(owner.discriminator.map) : pattern
+    return items.map(item => describePattern(item, context)).join(' | ')
+  },
+  Range: describeRange,
+  Mapping: ({ key, value }, context) => '{ [' + describePattern(key, context) + ']: ' + describePattern(value, context) + ' }',
+  MapOf: ({ key, value }, context) => 'Map<' + describePattern(key, context) + ', ' + describePattern(value, context) + '>',
+  SetOf: (pattern, context) => 'Set<' + describePattern(pattern, context) + '>',
+  Type: (pattern, context) => describePattern(pattern, context),
+  Lazy: (pattern, context, owner) => {
+    if (!owner) {
+      return 'Lazy'
+    }
+    const type = owner.resolve()
+    return context.parents.indexOf(type.pattern) > -1 ? '[Circular]' : describePattern(type, context)
+  },
+  Generic: (pattern, context, owner) => owner ? owner.alias : describePattern(pattern, context),
+  nullable: (pattern, context) => describePattern(pattern, context) + ' | Null',
+  equal: pattern => describeValue(pattern),
+  match: (pattern, context) => pattern.map(item => wrap(describePattern(item, context))).join(' & '),
+  determine: (pattern, context) => pattern.map(item => describePattern(item, context)).join(' | '),
+  rest: (pattern, context) => '...' + wrap(describePattern(pattern, context)) + '[]',
+  lambda: ([InputType, OutputType], context) => describeLambda(InputType, describePattern(OutputType, context), context),
+  asyncLambda: ([InputType, OutputType], context) => describeLambda(InputType, 'Promise<' + describePattern(OutputType, context) + '>', context),
+  promise: (pattern, context) => 'Promise<' + describePattern(pattern, context) + '>',
+}
+
+function describeLambda(InputType, output, context) {
+  const input = describePattern(InputType, context)
+  const params = input[0] === '[' ? input.substring(1, input.length - 1) : '...args: ' + input
+  return '(' + params + ') => ' + output
+}
+
+function describeObject(pattern, context) {
+  const { indent, level } = context
+  const items = Object.keys(pattern).map((key) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+    const { optional, signature } = describeItem(pattern[key], context)
+    return name + (optional ? '?: ' : ': ') + signature
+  })
+
+  if (!items.length) {
+    return '{}'
+  }
+
+  if (!indent) {
+    return '{ ' + items.join(', ') + ' }'
+  }
+
+  const space = count => ' '.repeat(count * indent)
+  return '{\n' + items.map(item => space(level) + item).join(',\n') + '\n' + space(level - 1) + '}'
+}
+
+function describeList(pattern, context) {
+  const items = pattern.map(item => describePattern(item, context))
+  if (!items.length) {
+    return 'Array'
+  }
+  if (items.length === 1) {
+    return wrap(items[0]) + '[]'
+  }
+  return '(' + items.join(' | ') + ')[]'
+}
+
+// properties of object and items of tuple can be optional
+function describeItem(pattern, context) {
+  const optional = isInstanceOf(pattern, Rule) && (pattern.name === 'ifexist' || pattern.name === 'withDefault')
+  const signature = describePattern(optional ? pattern.pattern : pattern, context)
+  return { optional, signature }
+}
+
+function describeRange(pattern) {
+  const { min, max, minBound = true, maxBound = true, of } = pattern
+  const name = of === 'length' ? 'Range<length>' : 'Range'
+  return name + (minBound ? '[' : '(') + describeValue(min) + ', ' + describeValue(max) + (maxBound ? ']' : ')')
+}
+
+/**
+ * describe prototypes and certain values
+ * @param {*} value
+ */
+export function describeValue(value) {
+  if (isInstanceOf(value, Prototype)) {
+    return value.name
+  }
+  if (isNaN(value)) {
+    return 'NaN'
+  }
+  if (isString(value)) {
+    return JSON.stringify(value)
+  }
+  if (typeof value === 'bigint') {
+    return value + 'n'
+  }
+  if (isInstanceOf(value, Date)) {
+    return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()
+  }
+  if (isInstanceOf(value, RegExp)) {
+    return String(value)
+  }
+  if (typeof value === 'function') {
+    return value.name || 'Function'
+  }
+  if (isArray(value)) {
+    return '[' + value.map(describeValue).join(', ') + ']'
+  }
+  if (isObject(value)) {
+    const items = Object.keys(value).map(key => key + ': ' + describeValue(value[key]))
+    return items.length ? '{ ' + items.join(', ') + ' }' : '{}'
+  }
+  if (value && typeof value === 'object') {
+    return value.constructor ? value.constructor.name : 'Object'
+  }
+  return String(value)
+}
+
+// wrap union, intersection and function signatures to be used as an item
+function wrap(signature) {
+  let level = 0
+  for (let i = 0, len = signature.length; i < len; i ++) {
+    const char = signature[i]
+    if (char === '{' || char === '[' || char === '(' || char === '<') {
+      level ++
+    }
+    else if (char === '}' || char === ']' || char === ')' || (char === '>' && signature[i - 1] !== '=')) {
+      level --
+    }
+    else if (!level && char === ' ' && /^ ([|&]|=>) /.test(signature.substr(i, 4))) {
+      return '(' + signature + ')'
+    }
+  }
+  return signature
+}
@@ -1,11 +1,28 @@
 import {
   isObject,
+  isArray,
   isEmpty,
+  isInstanceOf,
+  inObject,
+  each,
   getConstructorOf,
+  map,
 } from 'ts-fns'
 
 import Type from './type.js'
+import Rule from './rule.js'
+import List from './list.js'
+import Tuple from './tuple.js'
+import Enum from './enum.js'
 import TyError from './ty-error.js'
+import { ifexist, nullable } from './rules.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeObjectJSONSchema,
+} from './json-schema.js'
+import { createError, compilePattern } from './compile.js'
+import { makeDefinition } from './definition.js'
 
 export class Dict extends Type {
   constructor(pattern) {
@@ -38,6 +55,22 @@ export class Dict extends Type {
     return tyerr.error()
   }
 
+  _compile() {
+    const pattern = this.pattern
+    if (isEmpty(pattern)) {
+      return () => null
+    }
+
+    const validate = compilePattern(this, pattern)
+    return (value) => {
+      if (!isObject(value)) {
+        return createError({ type: 'exception', value, name: this.name, pattern })
+      }
+      const error = validate(value)
+      return error ? createError(error) : null
+    }
+  }
+
   extend(fields) {
     const current = this.pattern
     const next = Object.assign({}, current, fields)
@@ -60,6 +93,232 @@ export class Dict extends Type {
     const type = new Constructor(next)
     return type
   }
+
+  /**
+   * create a new Dict whose properties are all optional (wrapped with `ifexist`)
+   * @param {object} [options]
+   * @param {boolean} [options.deep] make nested Dicts partial too
+   */
+  partial(options = {}) {
+    const { deep } = options
+    const next = {}
+    each(this.pattern, (pattern, key) => {
+      const value = deep ? mapNested(pattern, type => type.partial(options)) : pattern
+      next[key] = isInstanceOf(value, Rule) && value.name === 'ifexist' ? value : ifexist(value)
+    })
+    return this._derive(next)
+  }
+
+  /**
+   * create a new Dict whose properties are all required (`ifexist` and `shouldexist` are stripped)
+   * @param {object} [options]
+   * @param {boolean} [options.deep] make nested Dicts required too
+   */
+  required(options = {}) {
+    const { deep } = options
+    const next = {}
+    each(this.pattern, (pattern, key) => {
+      const value = isInstanceOf(pattern, Rule) && (pattern.name === 'ifexist' || pattern.name === 'shouldexist') ? pattern.pattern : pattern
+      next[key] = deep ? mapNested(value, type => type.required(options)) : value
+    })
+    return this._derive(next)
+  }
+
+  /**
+   * create a new Dict with given properties
+   * @param {string[]} keys use key path to pick properties of nested Dicts, i.e. 'address.city'
+   */
+  pick(keys) {
+    const groups = groupKeyPaths(keys)
+    const next = {}
+    each(groups, (subKeys, key) => {
+      if (!inObject(key, this.pattern)) {
+        throw new Error('[Dict]: key `' + key + '` is not in pattern.')
+      }
+      const pattern = this.pattern[key]
+      next[key] = subKeys.length ? mapNested(pattern, type => type.pick(subKeys), key) : pattern
+    })
+    return this._derive(next)
+  }
+
+  /**
+   * create a new Dict without given properties
+   * @param {string[]} keys use key path to omit properties of nested Dicts, i.e. 'address.city'
+   */
+  omit(keys) {
+    const groups = groupKeyPaths(keys)
+    const next = {}
+    each(groups, (subKeys, key) => {
+      if (!inObject(key, this.pattern)) {
+        throw new Error('[Dict]: key `' + key + '` is not in pattern.')
+      }
+    })
+    each(this.pattern, (pattern, key) => {
+      if (!inObject(key, groups)) {
+        next[key] = pattern
+      }
+      else if (groups[key].length) {
+        next[key] = mapNested(pattern, type => type.omit(groups[key]), key)
+      }
+    })
+    return this._derive(next)
+  }
+
+  _derive(pattern) {
+    const Constructor = getConstructorOf(this)
+    const type = new Constructor(pattern)
+    return type.toBeStrict(this.isStrict)
+  }
+
+  /**
+   * merge Dicts into one, nested Dicts with the same key will be merged too,
+   * throw an error when patterns of the same key conflict,
+   * the merged Dict is strict when one of the Dicts is strict
+   * @param  {...Dict|object} types
+   * @example
+   * const SomeDict = Dict.intersect(NameDict, AgeDict)
+   */
+  static intersect(...types) {
+    if (!types.length) {
+      throw new Error('[Dict]: intersect needs at least one Dict or object.')
+    }
+
+    const patterns = types.map((type) => {
+      if (isInstanceOf(type, Dict)) {
+        return type.pattern
+      }
+      if (isObject(type)) {
+        return type
+      }
+      throw new Error('[Dict]: intersect only accepts Dicts or objects.')
+    })
+    const pattern = patterns.reduce((a, b) => intersectPatterns(a, b, []))
+    return createIntersection(this, types, pattern)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const schema = makeObjectJSONSchema(this.pattern, ctx)
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    return { type: 'Dict', pattern: map(this.pattern, item => makeDefinition(item, context)) }
+  }
+}
+
+/**
+ * apply fn on the nested Dict of pattern, plain object will be treated as a Dict,
+ * Dicts in `ifexist` `nullable`, arrays, List, Tuple and Enum (not discriminated) will be found
+ * @param {*} pattern
+ * @param {function} fn (dict) => dict
+ * @param {string} [key] when given, throw an error if there is no nested Dict
+ */
+function mapNested(pattern, fn, key) {
+  if (isInstanceOf(pattern, Dict)) {
+    return fn(pattern)
+  }
+  if (isObject(pattern)) {
+    return fn(new Dict(pattern)).pattern
+  }
+  if (isArray(pattern)) {
+    return pattern.map(item => mapNested(item, fn))
+  }
+  if (isInstanceOf(pattern, List) || isInstanceOf(pattern, Tuple) || (isInstanceOf(pattern, Enum) && !pattern.discriminator)) {
+    return deriveType(pattern, pattern.pattern.map(item => mapNested(item, fn)))
+  }
+  if (isInstanceOf(pattern, Rule) && pattern.name === 'ifexist') {
+    return ifexist(mapNested(pattern.pattern, fn, key))
+  }
+  if (isInstanceOf(pattern, Rule) && pattern.name === 'nullable') {
+    return nullable(mapNested(pattern.pattern, fn, key))
+  }
+  if (key) {
+    throw new Error('[Dict]: key `' + key + '` is not a Dict.')
+  }
+  return pattern
+}
+
+/**
+ * create a type of the same class with a new pattern, options of List and strict mode are kept
+ * @param {List|Tuple|Enum} type
+ * @param {array} pattern
+ */
+function deriveType(type, pattern) {
+  const Constructor = getConstructorOf(type)
+  const ins = isInstanceOf(type, List) ? new Constructor(pattern, type.options) : new Constructor(pattern)
+  return ins.toBeStrict(type.isStrict)
+}
+
+/**
+ * ['a', 'b.c', 'b.d'] => { a: [], b: ['c', 'd'] }
+ * @param {string[]} keys
+ */
+function groupKeyPaths(keys) {
+  const groups = {}
+  keys.forEach((keyPath) => {
+    const [key, ...rest] = keyPath.split('.')
+    const subKeys = groups[key] = groups[key] || []
+    if (rest.length) {
+      subKeys.push(rest.join('.'))
+    }
+  })
+  return groups
+}
+
+function intersectPatterns(a, b, keyPath) {
+  const next = { ...a }
+  each(b, (pattern, key) => {
+    if (!inObject(key, a) || isSamePattern(a[key], pattern)) {
+      next[key] = pattern
+      return
+    }
+
+    const current = a[key]
+    const isDict = value => isObject(value) || isInstanceOf(value, Dict)
+    if (isDict(current) && isDict(pattern)) {
+      const merged = intersectPatterns(getFields(current), getFields(pattern), [...keyPath, key])
+      const Constructor = getConstructorOf(isInstanceOf(current, Dict) ? current : pattern)
+      next[key] = isObject(current) && isObject(pattern) ? merged : createIntersection(Constructor, [current, pattern], merged)
+      return
+    }
+
+    throw new Error('[Dict]: patterns of `' + [...keyPath, key].join('.') + '` conflict when intersect.')
+  })
+  return next
+}
+
+// strict when one of the Dicts is strict
+function createIntersection(Constructor, types, pattern) {
+  const type = new Constructor(pattern)
+  return type.toBeStrict(types.some(type => isInstanceOf(type, Dict) && type.isStrict))
+}
+
+function getFields(pattern) {
+  return isInstanceOf(pattern, Dict) ? pattern.pattern : pattern
+}
+
+const comparableRules = ['ifexist', 'nullable', 'equal', 'match', 'instance']
+
+function isSamePattern(a, b) {
+  if (a === b) {
+    return true
+  }
+  // rules whose behavior is only determined by pattern
+  if (isInstanceOf(a, Rule) && isInstanceOf(b, Rule)) {
+    return a.name === b.name && comparableRules.indexOf(a.name) > -1 && isSamePattern(a.pattern, b.pattern)
+  }
+  if (isInstanceOf(a, Type) && isInstanceOf(b, Type)) {
+    return getConstructorOf(a) === getConstructorOf(b) && a.isStrict === b.isStrict && isSamePattern(a.pattern, b.pattern)
+  }
+  if (isArray(a) && isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isSamePattern(item, b[i]))
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => inObject(key, b) && isSamePattern(a[key], b[key]))
+  }
+  return false
 }
 
 export function dict(pattern) {
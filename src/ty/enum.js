@@ -1,10 +1,27 @@
 import {
   isArray,
+  isObject,
+  isString,
+  isNumber,
   isInstanceOf,
+  getConstructorOf,
+  map,
 } from 'ts-fns'
 
 import Type from './type.js'
 import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeJSONSchema,
+  isJSONPrimitive,
+} from './json-schema.js'
+import { coerceEnumValue, coerceValue } from './coerce.js'
+import { cleanEnumValue, cleanValue } from './clean.js'
+import { fillEnumValue, fillValue } from './defaults.js'
+import { mockValue } from './mock.js'
+import { createError, compileItem } from './compile.js'
+import { makeDefinition } from './definition.js'
 
 export class Enum extends Type {
   constructor(pattern) {
@@ -14,8 +31,34 @@ export class Enum extends Type {
 
     super(pattern)
     this.name = 'Enum'
+    this.discriminator = null
+  }
+
+  /**
+   * create a discriminated Enum, which selects the branch by the tag field and validates only that branch
+   * @param {string} key the tag field
+   * @param {object} map tag => pattern
+   * @example
+   * const Shape = Enum.by('kind', { circle: CircleDict, square: SquareDict })
+   */
+  static by(key, map) {
+    if (!isString(key)) {
+      throw new Error('[Enum]: key should be a string.')
+    }
+    if (!isObject(map)) {
+      throw new Error('[Enum]: map should be an object.')
+    }
+
+    const type = new this(Object.values(map))
+    type.discriminator = { key, map, tags: Object.keys(map) }
+    return type
   }
+
   catch(value) {
+    if (this.discriminator) {
+      return this._catchBy(value)
+    }
+
     const pattern = this.pattern
     const patterns = pattern
     const tyerr = new TyError()
@@ -62,6 +105,152 @@ export class Enum extends Type {
     tyerr.commit()
     return tyerr
   }
+
+  _catchBy(value) {
+    const { key, tags } = this.discriminator
+    const tyerr = new TyError()
+
+    if (!isObject(value)) {
+      tyerr.replace({ type: 'exception', value, name: this.name, pattern: this.pattern })
+    }
+    else if (!this._hasBranch(value)) {
+      tyerr.replace({ type: 'unknown', key, value: value[key], pattern: tags })
+    }
+    else {
+      let pattern = this._getBranch(value)
+      if (isInstanceOf(pattern, Type) && this.isStrict && !pattern.isStrict) {
+        pattern = pattern.strict
+      }
+      const error = isInstanceOf(pattern, Type) ? pattern.catch(value) : this.validate(value, pattern)
+      if (error) {
+        tyerr.replace(error)
+      }
+    }
+
+    tyerr.commit()
+    return tyerr.error()
+  }
+
+  _hasBranch(value) {
+    const { key, tags } = this.discriminator
+    const tag = value[key]
+    return (isString(tag) || isNumber(tag)) && tags.indexOf(String(tag)) > -1
+  }
+
+  _getBranch(value) {
+    const { key, map } = this.discriminator
+    return map[value[key]]
+  }
+
+  _compileBy() {
+    const { key, map, tags } = this.discriminator
+    const items = {}
+    tags.forEach((tag) => {
+      items[tag] = compileItem(this, map[tag])
+    })
+
+    return (value) => {
+      if (!isObject(value)) {
+        return createError({ type: 'exception', value, name: this.name, pattern: this.pattern })
+      }
+      if (!this._hasBranch(value)) {
+        return createError({ type: 'unknown', key, value: value[key], pattern: tags })
+      }
+      const error = items[value[key]](value)
+      return error ? createError(error) : null
+    }
+  }
+
+  _compile() {
+    if (this.discriminator) {
+      return this._compileBy()
+    }
+
+    const patterns = this.pattern
+    const items = patterns.map(pattern => compileItem(this, pattern))
+    const count = items.length
+
+    return (value) => {
+      const errors = []
+      for (let i = 0; i < count; i ++) {
+        const error = items[i](value)
+        if (!error) {
+          return null
+        }
+        errors.push(error)
+      }
+
+      const tyerr = new TyError()
+      if (errors.length) {
+        tyerr.replace({
+          type: 'notin',
+          value,
+          name: this.name,
+          pattern: patterns,
+          errors,
+        })
+      }
+      tyerr.commit()
+      return tyerr
+    }
+  }
+
+  _coerce(value) {
+    if (this.discriminator && isObject(value) && this._hasBranch(value)) {
+      return coerceValue(value, this._getBranch(value))
+    }
+    return coerceEnumValue(value, this.pattern)
+  }
+
+  _clean(value, context) {
+    if (this.discriminator && isObject(value) && this._hasBranch(value)) {
+      return cleanValue(value, this._getBranch(value), context)
+    }
+    return cleanEnumValue(value, this.pattern, context)
+  }
+
+  _fill(value) {
+    if (this.discriminator && isObject(value) && this._hasBranch(value)) {
+      return fillValue(value, this._getBranch(value))
+    }
+    return fillEnumValue(value, this.pattern)
+  }
+
+  _mock(context) {
+    if (this.discriminator) {
+      const { key, map, tags } = this.discriminator
+      const tag = context.random.pick(tags)
+      const value = mockValue(map[tag], context)
+      return isObject(value) && String(value[key]) !== tag ? { ...value, [key]: tag } : value
+    }
+    return mockValue(context.random.pick(this.pattern), context)
+  }
+
+  clone() {
+    const Constructor = getConstructorOf(this)
+    const ins = new Constructor(this.pattern)
+    ins.discriminator = this.discriminator
+    return ins
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const patterns = this.pattern
+
+    // use `enum` when all items are certain values
+    const schema = patterns.every(isJSONPrimitive) ? { enum: [...patterns] }
+      : { anyOf: patterns.map(pattern => makeJSONSchema(pattern, ctx)) }
+
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    if (this.discriminator) {
+      const { key, map: branches } = this.discriminator
+      return { type: 'Enum', by: key, pattern: map(branches, item => makeDefinition(item, context)) }
+    }
+    return { type: 'Enum', pattern: this.pattern.map(item => makeDefinition(item, context)) }
+  }
 }
 
 export function enumerate(pattern) {
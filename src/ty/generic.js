@@ -0,0 +1,111 @@
+import {
+  isString,
+  isInstanceOf,
+  getConstructorOf,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Brand from './brand.js'
+import TyError from './ty-error.js'
+import { create } from './rules.js'
+import { describe } from './describe.js'
+import { makeDefinition } from './definition.js'
+
+export class Generic extends Type {
+  /**
+   * an instantiation of a generic type, use `generic` to create it
+   * @param {string} alias readable name, i.e. Paged<User>
+   * @param {*} pattern type or pattern returned by the factory
+   */
+  constructor(alias, pattern) {
+    if (isInstanceOf(pattern, Rule)) {
+      throw new Error('[Generic]: factory should return a type or a pattern, but receive a rule.')
+    }
+
+    super(isInstanceOf(pattern, Type) ? pattern : create(pattern))
+    this.name = 'Generic'
+    this.alias = alias
+  }
+
+  catch(value) {
+    const type = this.pattern
+    const target = this.isStrict && !type.isStrict ? type.strict : type
+    const error = target.catch(value)
+
+    // the value does not match the type at all, use the readable name
+    if (error && error.traces.every(trace => trace.type === 'exception' && !trace.keyPath.length)) {
+      return new TyError({ type: 'exception', value, pattern: this })
+    }
+    return error
+  }
+
+  // the name is dropped, the instantiated type is serialized
+  _toDefinition(context) {
+    return makeDefinition(this.pattern, context)
+  }
+
+  clone() {
+    const Constructor = getConstructorOf(this)
+    const ins = new Constructor(this.alias, this.pattern)
+    return ins
+  }
+
+  toString() {
+    return this.alias
+  }
+}
+
+// use the alias of a type (Generic or a type with `alias` given), the name of a Brand, or its signature
+function getArgName(arg) {
+  if (isInstanceOf(arg, Type) && isString(arg.alias) && arg.alias) {
+    return arg.alias
+  }
+  if (isInstanceOf(arg, Brand)) {
+    return arg.name
+  }
+  return describe(arg)
+}
+
+/**
+ * create a generic type, the returned function receives type arguments and creates an instantiation,
+ * instantiations with the same arguments are cached
+ * @param {string} [name] name of the generic type, default to the name of the factory
+ * @param {function} factory (...args) => type or pattern
+ * @returns {function} (...args) => Generic
+ * @example
+ * const Paged = generic('Paged', T => ({ data: [T], total: Number, page: Int }))
+ * const PagedUsers = Paged(User) // named Paged<User> when User is a Brand, a Generic or a type with `alias`
+ */
+export function generic(name, factory) {
+  if (typeof name === 'function') {
+    factory = name
+    name = factory.name
+  }
+  if (typeof factory !== 'function') {
+    throw new Error('[Generic]: factory should be a function.')
+  }
+  if (!isString(name) || !name) {
+    name = 'Generic'
+  }
+
+  // a tree of type arguments, so that arguments are compared one by one
+  const cache = { children: new Map(), type: null }
+
+  return (...args) => {
+    const node = args.reduce((node, arg) => {
+      if (!node.children.has(arg)) {
+        node.children.set(arg, { children: new Map(), type: null })
+      }
+      return node.children.get(arg)
+    }, cache)
+
+    if (!node.type) {
+      const alias = args.length ? name + '<' + args.map(getArgName).join(', ') + '>' : name
+      node.type = new Generic(alias, factory(...args))
+    }
+    return node.type
+  }
+}
+
+export default Generic
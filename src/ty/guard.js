@@ -0,0 +1,97 @@
+import {
+  isArray,
+  isObject,
+  inObject,
+} from 'ts-fns'
+
+// methods which change the array itself, validated once after the whole call
+const mutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']
+
+/**
+ * create a proxy of the target, each write to it or its nested plain objects and arrays is validated by the type,
+ * the write is reverted when the target does not match the type any more
+ * @param {object|array} target
+ * @param {Type} type
+ * @param {function} report receive the error after the write is reverted
+ * @returns {Proxy}
+ */
+export function makeGuard(target, type, report) {
+  // raw object -> proxy
+  const proxies = new WeakMap()
+  // proxy -> raw object, so that proxies will not be written into the target
+  const origins = new WeakMap()
+
+  const unwrap = value => origins.get(value) || value
+
+  const validate = (revert) => {
+    const error = type.catch(target)
+    if (error) {
+      revert()
+      report(error)
+    }
+  }
+
+  // keep a copy of the array, so that it can be restored after changing its items or length
+  const backup = (obj, key) => {
+    if (isArray(obj)) {
+      const items = obj.slice()
+      return () => {
+        obj.length = 0
+        obj.push(...items)
+      }
+    }
+
+    const existing = inObject(key, obj)
+    const prev = obj[key]
+    return () => {
+      if (existing) {
+        obj[key] = prev
+      }
+      else {
+        delete obj[key]
+      }
+    }
+  }
+
+  const guard = (obj) => {
+    if (proxies.has(obj)) {
+      return proxies.get(obj)
+    }
+
+    const proxy = new Proxy(obj, {
+      get(obj, key, receiver) {
+        const value = Reflect.get(obj, key, receiver)
+        if (isArray(obj) && mutators.indexOf(key) > -1) {
+          return (...args) => {
+            const revert = backup(obj)
+            const output = value.apply(obj, args.map(unwrap))
+            validate(revert)
+            return output === obj ? proxy : output
+          }
+        }
+        return isObject(value) || isArray(value) ? guard(value) : value
+      },
+      set(obj, key, value) {
+        const revert = backup(obj, key)
+        obj[key] = unwrap(value)
+        validate(revert)
+        return true
+      },
+      deleteProperty(obj, key) {
+        if (!inObject(key, obj)) {
+          return true
+        }
+        const revert = backup(obj, key)
+        delete obj[key]
+        validate(revert)
+        return true
+      },
+    })
+
+    proxies.set(obj, proxy)
+    origins.set(proxy, obj)
+    return proxy
+  }
+
+  return guard(target)
+}
@@ -19,6 +19,18 @@ export {
   String32,
   String64,
   String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  HexColor,
+  Semver,
+  Phone,
+  StringOf,
+  TypedArray,
 } from './prototypes.js'
 
 export { Type } from './type.js'
@@ -28,6 +40,11 @@ export { Tuple, tuple } from './tuple.js'
 export { Enum, enumerate } from './enum.js'
 export { Range, range } from './range.js'
 export { Mapping, mapping } from './mapping.js'
+export { MapOf, mapOf } from './map-of.js'
+export { SetOf, setOf } from './set-of.js'
+export { Lazy, lazy } from './lazy.js'
+export { Brand, brand } from './brand.js'
+export { Generic, generic } from './generic.js'
 
 export { Rule } from './rule.js'
 export {
@@ -45,6 +62,10 @@ export {
   equal,
   nullable,
   lambda,
+  asyncLambda,
+  promise,
+  rest,
+  withDefault,
 } from './rules.js'
 
 export { TyError } from './ty-error.js'
@@ -0,0 +1,371 @@
+import {
+  isArray,
+  isObject,
+  isBoolean,
+  isString,
+  isUndefined,
+  isNull,
+  isEqual,
+  isEmpty,
+  isInstanceOf,
+  inArray,
+  inObject,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Prototype from './prototype.js'
+import Dict from './dict.js'
+import List from './list.js'
+import Tuple from './tuple.js'
+import Enum from './enum.js'
+import Range from './range.js'
+import Mapping from './mapping.js'
+import { lazy } from './lazy.js'
+import {
+  Null,
+  Any,
+  Int,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  StringOf,
+} from './prototypes.js'
+import { create, ifexist, nullable, rest } from './rules.js'
+
+const stringPrototypes = {
+  8: String8,
+  16: String16,
+  32: String32,
+  64: String64,
+  128: String128,
+}
+
+const formatPrototypes = {
+  'email': Email,
+  'uri': Url,
+  'uuid': Uuid,
+  'date': IsoDate,
+  'date-time': IsoDateTime,
+  'ipv4': Ipv4,
+  'ipv6': Ipv6,
+}
+
+/**
+ * create a Type by JSON Schema document
+ * @param {object|boolean} schema JSON Schema (draft-07 or 2020-12)
+ * @returns {Type}
+ */
+export function parseJSONSchema(schema) {
+  const context = {
+    root: schema,
+    refs: {},
+    resolving: [],
+  }
+  const pattern = makePattern(schema, context)
+  return isInstanceOf(pattern, Type) ? pattern : new Type(pattern)
+}
+
+export default parseJSONSchema
+
+function makePattern(schema, context) {
+  const { pattern, isNullable } = resolve(schema, context)
+  return isNullable ? new Enum([pattern, Null]) : pattern
+}
+
+function makeProperty(schema, context, isRequired) {
+  const { pattern, isNullable } = resolve(schema, context)
+  const type = isNullable ? nullable(pattern) : pattern
+  return isRequired ? type : ifexist(type)
+}
+
+/**
+ * @returns {object} { pattern, isNullable }
+ */
+function resolve(schema, context) {
+  if (isBoolean(schema)) {
+    if (schema) {
+      return { pattern: Any }
+    }
+    throw new Error('[JSONSchema]: `false` schema can not be converted.')
+  }
+
+  if (!isObject(schema)) {
+    throw new Error('[JSONSchema]: schema should be an object or a boolean.')
+  }
+
+  if (inObject('$ref', schema)) {
+    return { pattern: resolveRef(schema.$ref, context) }
+  }
+
+  if (inObject('const', schema)) {
+    return { pattern: makeValue(schema.const) }
+  }
+
+  if (inObject('enum', schema)) {
+    return { pattern: new Enum(schema.enum.map(makeValue)) }
+  }
+
+  if (isArray(schema.allOf)) {
+    return resolveAllOf(schema, context)
+  }
+
+  const anyOf = schema.anyOf || schema.oneOf
+  if (isArray(anyOf)) {
+    const items = anyOf.filter(item => !(isObject(item) && item.type === 'null'))
+    const isNullable = items.length < anyOf.length
+    const patterns = items.map(item => makePattern(item, context))
+    const pattern = patterns.length === 1 ? patterns[0] : new Enum(patterns)
+    return { pattern, isNullable }
+  }
+
+  if (isObject(schema.not)) {
+    const type = create(makePattern(schema.not, context))
+    const pattern = new Prototype({
+      name: 'not(' + type + ')',
+      validate: value => !type.test(value),
+    })
+    return { pattern }
+  }
+
+  const types = isArray(schema.type) ? schema.type : isString(schema.type) ? [schema.type] : [guessType(schema)]
+  const isNullable = types.length > 1 && inArray('null', types)
+  const patterns = types.filter(type => !isNullable || type !== 'null').map(type => makeTypePattern(type, schema, context))
+  const pattern = patterns.length === 1 ? patterns[0] : new Enum(patterns)
+  return { pattern, isNullable }
+}
+
+function guessType(schema) {
+  if (inObject('properties', schema) || inObject('additionalProperties', schema) || inObject('required', schema)) {
+    return 'object'
+  }
+  if (inObject('items', schema) || inObject('prefixItems', schema)) {
+    return 'array'
+  }
+  return 'any'
+}
+
+function makeValue(value) {
+  // object or array value should be compared deeply
+  if (isObject(value) || isArray(value)) {
+    return new Prototype({
+      name: JSON.stringify(value),
+      validate: v => isEqual(v, value),
+    })
+  }
+  return isNull(value) ? Null : value
+}
+
+function resolveRef(ref, context) {
+  const { refs, resolving } = context
+  if (refs[ref]) {
+    return refs[ref]
+  }
+
+  // circular $ref, the type is not created yet, refer to it lazily
+  if (inArray(ref, resolving)) {
+    return lazy(() => refs[ref])
+  }
+
+  const target = findRef(ref, context)
+
+  resolving.push(ref)
+  const pattern = makePattern(target, context)
+  resolving.pop()
+
+  refs[ref] = pattern
+  return pattern
+}
+
+function resolveAllOf(schema, context) {
+  const { allOf, ...others } = schema
+  const items = [others, ...allOf].filter(item => !isObject(item) || Object.keys(item).length)
+  const resolved = items.map(item => isObject(item) && inObject('$ref', item) ? findRef(item.$ref, context) : item)
+
+  // merge object schemas into one
+  if (resolved.every(item => isObject(item) && guessType(item) === 'object' && (isUndefined(item.type) || item.type === 'object'))) {
+    const merged = resolved.reduce((merged, item) => ({
+      ...merged,
+      ...item,
+      properties: { ...merged.properties, ...item.properties },
+      required: [...(merged.required || []), ...(item.required || [])],
+    }), { type: 'object' })
+    return resolve(merged, context)
+  }
+
+  const types = resolved.map(item => create(makePattern(item, context)))
+  const pattern = new Prototype({
+    name: 'allOf(' + types.join(',') + ')',
+    validate: value => types.every(type => type.test(value)),
+  })
+  return { pattern }
+}
+
+function findRef(ref, context) {
+  if (ref.indexOf('#') !== 0) {
+    throw new Error('[JSONSchema]: only $ref in the same document is supported, receive `' + ref + '`.')
+  }
+
+  const keys = ref.substr(1).split('/').filter(Boolean).map(key => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'))
+  let target = context.root
+  keys.forEach((key) => {
+    if (!target || !inObject(key, target)) {
+      throw new Error('[JSONSchema]: $ref `' + ref + '` can not be found.')
+    }
+    target = target[key]
+  })
+  return target
+}
+
+function makeTypePattern(type, schema, context) {
+  if (type === 'null') {
+    return Null
+  }
+  if (type === 'boolean') {
+    return Boolean
+  }
+  if (type === 'string') {
+    return makeStringPattern(schema)
+  }
+  if (type === 'number' || type === 'integer') {
+    return makeNumberPattern(type, schema)
+  }
+  if (type === 'array') {
+    return makeArrayPattern(schema, context)
+  }
+  if (type === 'object') {
+    return makeObjectPattern(schema, context)
+  }
+  return Any
+}
+
+function makeStringPattern(schema) {
+  const { minLength, maxLength, pattern, format } = schema
+
+  if (isUndefined(minLength) && isUndefined(maxLength) && isUndefined(pattern) && inObject(format, formatPrototypes)) {
+    return formatPrototypes[format]
+  }
+
+  if (isUndefined(minLength) && isUndefined(pattern) && stringPrototypes[maxLength]) {
+    return stringPrototypes[maxLength]
+  }
+  if (isUndefined(minLength) && isUndefined(maxLength) && !isUndefined(pattern)) {
+    return new RegExp(pattern)
+  }
+  if (isUndefined(minLength) && isUndefined(maxLength)) {
+    return String
+  }
+
+  return StringOf({
+    min: minLength,
+    max: maxLength,
+    pattern: isUndefined(pattern) ? undefined : new RegExp(pattern),
+  })
+}
+
+function makeNumberPattern(type, schema) {
+  const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema
+  const isInt = type === 'integer'
+
+  const hasMin = !isUndefined(minimum) || !isUndefined(exclusiveMinimum)
+  const hasMax = !isUndefined(maximum) || !isUndefined(exclusiveMaximum)
+
+  if (!hasMin && !hasMax) {
+    return isInt ? Int : Number
+  }
+  if (isInt && minimum === 0 && !hasMax && isUndefined(exclusiveMinimum)) {
+    return Natural
+  }
+
+  const range = new Range({
+    min: !isUndefined(exclusiveMinimum) ? exclusiveMinimum : hasMin ? minimum : -Infinity,
+    max: !isUndefined(exclusiveMaximum) ? exclusiveMaximum : hasMax ? maximum : Infinity,
+    minBound: isUndefined(exclusiveMinimum),
+    maxBound: isUndefined(exclusiveMaximum),
+  })
+  if (!isInt) {
+    return range
+  }
+
+  const { min, max, minBound, maxBound } = range.pattern
+  return new Prototype({
+    name: 'Int' + (minBound ? '[' : '(') + min + ',' + max + (maxBound ? ']' : ')'),
+    validate: value => Int.validate(value) && range.test(value),
+  })
+}
+
+function makeArrayPattern(schema, context) {
+  const { items, prefixItems, additionalItems, minItems, maxItems, uniqueItems } = schema
+  const tupleItems = isArray(prefixItems) ? prefixItems : isArray(items) ? items : null
+
+  if (tupleItems) {
+    const count = isUndefined(minItems) ? tupleItems.length : minItems
+    const patterns = tupleItems.map((item, i) => makeProperty(item, context, i < count))
+    const additional = isArray(prefixItems) ? items : additionalItems
+    if (isObject(additional)) {
+      patterns.push(rest(makePattern(additional, context)))
+    }
+    const tuple = new Tuple(patterns)
+    // no more items than defined
+    if (additional === false) {
+      tuple.toBeStrict()
+    }
+    return tuple
+  }
+
+  const options = {}
+  if (!isUndefined(minItems)) {
+    options.min = minItems
+  }
+  if (!isUndefined(maxItems)) {
+    options.max = maxItems
+  }
+  if (uniqueItems) {
+    options.unique = true
+  }
+
+  if (isUndefined(items) || items === true) {
+    return isEmpty(options) ? Array : new List([], options)
+  }
+
+  const anyOf = isObject(items) && (items.anyOf || items.oneOf)
+  if (isArray(anyOf) && !anyOf.some(item => isObject(item) && item.type === 'null')) {
+    return new List(anyOf.map(item => makePattern(item, context)), options)
+  }
+  return new List([makePattern(items, context)], options)
+}
+
+function makeObjectPattern(schema, context) {
+  const { properties, required = [], additionalProperties, propertyNames } = schema
+
+  if (!properties && isObject(additionalProperties)) {
+    return new Mapping({
+      key: propertyNames ? makePattern(propertyNames, context) : String,
+      value: makePattern(additionalProperties, context),
+    })
+  }
+
+  if (!properties) {
+    return Object
+  }
+
+  const pattern = {}
+  Object.keys(properties).forEach((key) => {
+    pattern[key] = makeProperty(properties[key], context, inArray(key, required))
+  })
+
+  const dict = new Dict(pattern)
+  if (additionalProperties === false) {
+    dict.toBeStrict()
+  }
+  return dict
+}
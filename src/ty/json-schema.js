@@ -0,0 +1,365 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isFunction,
+  isString,
+  isNumber,
+  isBoolean,
+  isNull,
+  each,
+  isUndefined,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import {
+  Null,
+  None,
+  Numeric,
+  Any,
+  Int,
+  Float,
+  Negative,
+  Positive,
+  Finity,
+  Zero,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  HexColor,
+  Semver,
+  Phone,
+} from './prototypes.js'
+
+export const JSONSchemaDrafts = {
+  'draft-07': 'http://json-schema.org/draft-07/schema#',
+  '2020-12': 'https://json-schema.org/draft/2020-12/schema',
+}
+
+const schemas = [
+  { proto: Number, schema: { type: 'number' } },
+  { proto: String, schema: { type: 'string' } },
+  { proto: Boolean, schema: { type: 'boolean' } },
+  { proto: Object, schema: { type: 'object' } },
+  { proto: Array, schema: { type: 'array' } },
+  // Date will be serialized to ISO string by JSON.stringify
+  { proto: Date, schema: { type: 'string', format: 'date-time' } },
+  { proto: Null, schema: { type: 'null' } },
+  // undefined does not exist in JSON, so None can only be null
+  { proto: None, schema: { type: 'null' } },
+  { proto: Any, schema: {} },
+  { proto: Numeric, schema: { type: 'string', pattern: '^-?[0-9]+(\\.?[0-9]+)?$' } },
+  { proto: Int, schema: { type: 'integer' } },
+  { proto: Float, schema: { type: 'number', not: { type: 'integer' } } },
+  { proto: Negative, schema: { type: 'number', exclusiveMaximum: 0 } },
+  { proto: Positive, schema: { type: 'number', exclusiveMinimum: 0 } },
+  { proto: Finity, schema: { type: 'number' } },
+  { proto: Zero, schema: { const: 0 } },
+  { proto: Natural, schema: { type: 'integer', minimum: 0 } },
+  { proto: String8, schema: { type: 'string', maxLength: 8 } },
+  { proto: String16, schema: { type: 'string', maxLength: 16 } },
+  { proto: String32, schema: { type: 'string', maxLength: 32 } },
+  { proto: String64, schema: { type: 'string', maxLength: 64 } },
+  { proto: String128, schema: { type: 'string', maxLength: 128 } },
+  { proto: Email, schema: { type: 'string', format: 'email' } },
+  { proto: Url, schema: { type: 'string', format: 'uri' } },
+  { proto: Uuid, schema: { type: 'string', format: 'uuid' } },
+  { proto: IsoDate, schema: { type: 'string', format: 'date' } },
+  { proto: IsoDateTime, schema: { type: 'string', format: 'date-time' } },
+  { proto: Ipv4, schema: { type: 'string', format: 'ipv4' } },
+  { proto: Ipv6, schema: { type: 'string', format: 'ipv6' } },
+  { proto: HexColor, schema: { type: 'string', pattern: '^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$' } },
+  { proto: Semver, schema: { type: 'string', pattern: '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)(?:-((?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\\+([0-9a-zA-Z-]+(?:\\.[0-9a-zA-Z-]+)*))?$' } },
+  { proto: Phone, schema: { type: 'string', pattern: '^\\+[1-9]\\d{1,14}$' } },
+]
+
+/**
+ * create the context which is shared by all nodes when converting a type to JSON Schema
+ * @param {Type} type
+ * @param {object} options
+ * @param {object} [context] context from parent node
+ */
+export function createJSONSchemaContext(type, options = {}, context) {
+  if (context) {
+    return {
+      ...context,
+      isRoot: false,
+      isStrict: context.isStrict || type.isStrict,
+    }
+  }
+
+  const { draft = 'draft-07', report } = options
+  if (!JSONSchemaDrafts[draft]) {
+    throw new Error('[JSONSchema]: draft should be one of ' + Object.keys(JSONSchemaDrafts).join(', ') + '.')
+  }
+
+  return {
+    draft,
+    report,
+    keyPath: [],
+    isRoot: true,
+    isStrict: type.isStrict,
+    // for lazy types to refer to the root type
+    root: type,
+    lazies: [],
+  }
+}
+
+/**
+ * add $schema to the root node
+ * @param {object} schema
+ * @param {object} context
+ */
+export function makeJSONSchemaDocument(schema, context) {
+  if (!context.isRoot) {
+    return schema
+  }
+  return { $schema: JSONSchemaDrafts[context.draft], ...schema }
+}
+
+/**
+ * convert any pattern (Type, Rule, Prototype, native prototype, value, object, array) to JSON Schema
+ * @param {*} pattern
+ * @param {object} context
+ */
+export function makeJSONSchema(pattern, context) {
+  if (isInstanceOf(pattern, Type)) {
+    return pattern.toJSONSchema(null, context)
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    const { schema } = makeRuleJSONSchema(pattern, context)
+    return schema
+  }
+
+  if (isArray(pattern)) {
+    return makeArrayJSONSchema(pattern, context)
+  }
+
+  if (isObject(pattern)) {
+    return makeObjectJSONSchema(pattern, context)
+  }
+
+  const item = schemas.find(item => item.proto === pattern)
+  if (item) {
+    return { ...item.schema }
+  }
+
+  if (isInstanceOf(pattern, Prototype) && pattern.stringOf) {
+    return makeStringOfJSONSchema(pattern.stringOf)
+  }
+
+  if (isInstanceOf(pattern, RegExp)) {
+    return { type: 'string', pattern: pattern.source }
+  }
+
+  if (isJSONPrimitive(pattern)) {
+    return { const: pattern }
+  }
+
+  return makeUnsupportedJSONSchema(context, pattern, 'prototype `' + getName(pattern) + '` can not be expressed')
+}
+
+function makeStringOfJSONSchema({ min, max, pattern }) {
+  const schema = { type: 'string' }
+  if (!isUndefined(min)) {
+    schema.minLength = min
+  }
+  if (!isUndefined(max)) {
+    schema.maxLength = max
+  }
+  if (pattern) {
+    schema.pattern = pattern.source
+  }
+  return schema
+}
+
+/**
+ * convert a pattern which is used as a property of object or an item of tuple
+ * @param {*} pattern
+ * @param {object} context
+ * @returns {object} { schema, optional }, optional means the property can be missing
+ */
+export function makePropertyJSONSchema(pattern, context) {
+  if (isInstanceOf(pattern, Rule)) {
+    return makeRuleJSONSchema(pattern, context)
+  }
+  return { schema: makeJSONSchema(pattern, context), optional: false }
+}
+
+/**
+ * @param {object} pattern
+ * @param {object} context
+ */
+export function makeObjectJSONSchema(pattern, context) {
+  const schema = { type: 'object' }
+  const properties = {}
+  const required = []
+
+  each(pattern, (value, key) => {
+    const subContext = { ...context, keyPath: [...context.keyPath, key] }
+    const { schema, optional } = makePropertyJSONSchema(value, subContext)
+    properties[key] = schema
+    if (!optional) {
+      required.push(key)
+    }
+  })
+
+  if (Object.keys(properties).length) {
+    schema.properties = properties
+  }
+  if (required.length) {
+    schema.required = required
+  }
+  if (context.isStrict) {
+    schema.additionalProperties = false
+  }
+
+  return schema
+}
+
+/**
+ * @param {array} pattern
+ * @param {object} context
+ */
+export function makeArrayJSONSchema(pattern, context) {
+  const schema = { type: 'array' }
+  const subContext = { ...context, keyPath: [...context.keyPath, '[]'] }
+  const items = pattern.map(item => makeJSONSchema(item, subContext))
+
+  if (items.length === 1) {
+    schema.items = items[0]
+  }
+  else if (items.length > 1) {
+    schema.items = { anyOf: items }
+  }
+
+  return schema
+}
+
+/**
+ * make schema with `null` allowed
+ * @param {object} schema
+ */
+export function makeNullableJSONSchema(schema) {
+  const keywords = ['const', 'enum', 'allOf', 'anyOf', 'oneOf', 'not', '$ref']
+  if (isString(schema.type) && !keywords.some(keyword => keyword in schema)) {
+    return { ...schema, type: [schema.type, 'null'] }
+  }
+  return { anyOf: [schema, { type: 'null' }] }
+}
+
+/**
+ * report the construct which can not be expressed in JSON Schema,
+ * and use a schema which accepts any value instead
+ * @param {object} context
+ * @param {*} pattern
+ * @param {string} reason
+ */
+export function makeUnsupportedJSONSchema(context, pattern, reason) {
+  const { report, keyPath } = context
+  if (isFunction(report)) {
+    report({ keyPath: [...keyPath], name: getName(pattern), pattern, reason })
+  }
+  return { $comment: 'tyshemo: ' + reason }
+}
+
+/**
+ * whether the value is a string, number, boolean or null which is not a registered prototype
+ * @param {*} value
+ */
+export function isJSONPrimitive(value) {
+  return (isString(value) || isNumber(value) || isBoolean(value) || isNull(value)) && !Prototype.is(value).existing()
+}
+
+/**
+ * whether the value can be stringified into JSON without loss
+ * @param {*} value
+ */
+export function isJSONValue(value) {
+  if (isJSONPrimitive(value)) {
+    return true
+  }
+  if (isArray(value)) {
+    return value.every(isJSONValue)
+  }
+  if (isObject(value)) {
+    return Object.keys(value).every(key => isJSONValue(value[key]))
+  }
+  return false
+}
+
+function getName(pattern) {
+  if (isInstanceOf(pattern, Rule) || isInstanceOf(pattern, Type) || isInstanceOf(pattern, Prototype)) {
+    return pattern.name
+  }
+  if (typeof pattern === 'function') {
+    return pattern.name || 'Function'
+  }
+  return String(pattern)
+}
+
+function makeRuleJSONSchema(rule, context) {
+  const { name, pattern } = rule
+  const make = pattern => makePropertyJSONSchema(pattern, context).schema
+  const isPattern = pattern => !isFunction(pattern) || Prototype.is(pattern).existing()
+
+  if (name === 'ifexist' || name === 'ifmatch') {
+    return { schema: make(pattern), optional: true }
+  }
+
+  if (name === 'withDefault') {
+    const { value } = rule.options
+    const schema = make(pattern)
+    return { schema: isJSONValue(value) ? { ...schema, default: value } : schema, optional: true }
+  }
+
+  if (name === 'nullable') {
+    const { schema, optional } = makePropertyJSONSchema(pattern, context)
+    return { schema: makeNullableJSONSchema(schema), optional }
+  }
+
+  if (name === 'equal') {
+    const schema = isJSONValue(pattern) ? { const: pattern }
+      : makeUnsupportedJSONSchema(context, rule, '`equal` rule with a non-JSON value can not be expressed')
+    return { schema, optional: false }
+  }
+
+  if (name === 'match') {
+    return { schema: { allOf: pattern.map(make) }, optional: false }
+  }
+
+  if (name === 'shouldmatch' && isPattern(pattern)) {
+    return { schema: make(pattern), optional: false }
+  }
+
+  if (name === 'shouldnotmatch' && isPattern(pattern)) {
+    return { schema: { not: make(pattern) }, optional: false }
+  }
+
+  if (name === 'shouldexist' || name === 'shouldnotexist') {
+    const schema = make(pattern)
+    makeUnsupportedJSONSchema(context, rule, '`' + name + '` rule depends on a determine function, the key is treated as optional')
+    return { schema, optional: true }
+  }
+
+  if (name === 'ifnotmatch') {
+    makeUnsupportedJSONSchema(context, rule, '`ifnotmatch` rule overrides the value, the key is treated as any value')
+    return { schema: {}, optional: true }
+  }
+
+  const schema = makeUnsupportedJSONSchema(context, rule, '`' + name + '` rule can not be expressed')
+  return { schema, optional: false }
+}
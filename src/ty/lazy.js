@@ -0,0 +1,181 @@
+import {
+  isFunction,
+  isInstanceOf,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import { create } from './rules.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeJSONSchema,
+  makeUnsupportedJSONSchema,
+} from './json-schema.js'
+import { coerceValue } from './coerce.js'
+import { cleanValue } from './clean.js'
+import { fillValue } from './defaults.js'
+import { mockValue } from './mock.js'
+import { compileType } from './compile.js'
+import { makeDefinition } from './definition.js'
+
+// lists will be empty when lazy types nested deeper than this when mocking, so that the value can be finite
+const MAX_MOCK_DEPTH = 3
+
+// values which are being checked by lazy types, to prevent infinite recursion on recursive values
+const checking = []
+
+// compiled functions of lazy types, shared by clones
+const compiled = new WeakMap()
+
+export class Lazy extends Type {
+  /**
+   * @param {function} pattern a function which returns a type or a pattern,
+   * invoked when the type is used for the first time, so that the type can refer to itself
+   */
+  constructor(pattern) {
+    if (!isFunction(pattern)) {
+      throw new Error('[Lazy]: pattern should be a function.')
+    }
+
+    super(pattern)
+    this.name = 'Lazy'
+    this._type = null
+  }
+
+  /**
+   * get the type returned by the function
+   * @returns {Type}
+   */
+  resolve() {
+    if (this._type) {
+      return this._type
+    }
+
+    const res = this.pattern()
+    if (isInstanceOf(res, Rule)) {
+      throw new Error('[Lazy]: function should return a type or a pattern, but receive a rule.')
+    }
+
+    const type = isInstanceOf(res, Type) ? res : create(res)
+    this._type = type
+    return type
+  }
+
+  catch(value) {
+    return this._check(value, null, () => this._target().catch(value))
+  }
+
+  _compile() {
+    const key = this.isStrict ? 'strict' : 'loose'
+    return value => this._check(value, null, () => {
+      const cache = compiled.get(this.pattern) || {}
+      compiled.set(this.pattern, cache)
+      cache[key] = cache[key] || compileType(this, this.resolve())
+      return cache[key](value)
+    })
+  }
+
+  _coerce(value) {
+    return this._check(value, value, () => coerceValue(value, this._target()))
+  }
+
+  _clean(value, context) {
+    return this._check(value, value, () => cleanValue(value, this._target(), context))
+  }
+
+  // recursive types have no default value, so that it will not be materialized infinitely
+  _defaults() {
+    return undefined
+  }
+
+  _fill(value) {
+    return this._check(value, value, () => fillValue(value, this._target()))
+  }
+
+  _mock(context) {
+    const depth = (context.lazyDepth || 0) + 1
+    const subContext = {
+      ...context,
+      lazyDepth: depth,
+      maxLength: depth < MAX_MOCK_DEPTH ? context.maxLength : 0,
+    }
+    return mockValue(this._target(), subContext)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const type = this.resolve()
+
+    if (ctx.isRoot) {
+      const schema = makeJSONSchema(type, { ...ctx, root: type })
+      return makeJSONSchemaDocument(schema, ctx)
+    }
+
+    // refer to the root type
+    if (type.pattern === ctx.root.pattern) {
+      return { $ref: '#' }
+    }
+
+    if (ctx.lazies.indexOf(this.pattern) > -1) {
+      return makeUnsupportedJSONSchema(ctx, this, 'recursive type which is not the root type')
+    }
+
+    return makeJSONSchema(type, { ...ctx, lazies: [...ctx.lazies, this.pattern] })
+  }
+
+  _toDefinition(context) {
+    const { refs, definitions } = context
+    const type = this.resolve()
+
+    // the resolved type is defined only once, so that recursive types can be serialized
+    if (!refs.has(type)) {
+      const ref = String(refs.size)
+      refs.set(type, ref)
+      definitions[ref] = makeDefinition(type, context)
+    }
+
+    return { type: 'Lazy', ref: refs.get(type) }
+  }
+
+  _target() {
+    const type = this.resolve()
+    return this.isStrict && !type.isStrict ? type.strict : type
+  }
+
+  /**
+   * when the value is being checked by the same lazy type, it is a recursive value,
+   * return fallback to stop recursion
+   */
+  _check(value, fallback, fn) {
+    if (!value || typeof value !== 'object') {
+      return fn()
+    }
+
+    const { pattern } = this
+    if (checking.some(item => item.pattern === pattern && item.value === value)) {
+      return fallback
+    }
+
+    checking.push({ pattern, value })
+    try {
+      return fn()
+    }
+    finally {
+      checking.pop()
+    }
+  }
+}
+
+/**
+ * create a lazy type which can refer to itself or types defined later
+ * @param {function} fn
+ * @example
+ * const Node = new Dict({ name: String, children: [lazy(() => Node)] })
+ */
+export function lazy(fn) {
+  const type = new Lazy(fn)
+  return type
+}
+
+export default Lazy
@@ -1,19 +1,44 @@
 import {
   isArray,
   isEmpty,
+  isEqual,
+  isFunction,
+  isString,
+  isUndefined,
+  each,
+  parse,
+  getConstructorOf,
 } from 'ts-fns'
 
 import Type from './type.js'
 import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeArrayJSONSchema,
+  makeUnsupportedJSONSchema,
+} from './json-schema.js'
+import { mockValue } from './mock.js'
+import { createError, compilePattern } from './compile.js'
+import { makeDefinition } from './definition.js'
 
 export class List extends Type {
-  constructor(pattern) {
+  /**
+   * @param {array} pattern
+   * @param {object} [options]
+   * @param {number} [options.min] min length of array
+   * @param {number} [options.max] max length of array
+   * @param {boolean|string|function} [options.unique] true to compare items deeply, a key path of item, or a function which returns the key of item
+   * @param {boolean|function} [options.sorted] true to sort ascending, or a compare function like `Array.prototype.sort` uses
+   */
+  constructor(pattern, options = {}) {
     if (!isArray(pattern)) {
       throw new Error('[List]: pattern should be an array.')
     }
 
     super(pattern)
     this.name = 'List'
+    this.options = options
   }
   catch(value) {
     const pattern = this.pattern
@@ -22,23 +47,204 @@ export class List extends Type {
     if (!isArray(value)) {
       tyerr.replace({ type: 'exception', value, name: this.name, pattern })
     }
-    else if (isEmpty(pattern)) {
-      return null
-    }
     else {
-      const error = this.validate(value, pattern)
+      const error = isEmpty(pattern) ? null : this.validate(value, pattern)
       if (error) {
         tyerr.replace(error)
       }
+
+      const resources = this._constrain(value)
+      resources.forEach((resource) => {
+        tyerr.add(resource)
+      })
     }
 
     tyerr.commit()
     return tyerr.error()
   }
+
+  _compile() {
+    const pattern = this.pattern
+    const validate = isEmpty(pattern) ? null : compilePattern(this, pattern)
+    return (value) => {
+      if (!isArray(value)) {
+        return createError({ type: 'exception', value, name: this.name, pattern })
+      }
+
+      const error = validate ? validate(value) : null
+      const resources = this._constrain(value)
+      if (!resources.length) {
+        return error ? createError(error) : null
+      }
+
+      const tyerr = new TyError()
+      if (error) {
+        tyerr.replace(error)
+      }
+      resources.forEach((resource) => {
+        tyerr.add(resource)
+      })
+      tyerr.commit()
+      return tyerr
+    }
+  }
+
+  /**
+   * check length, uniqueness and order of items
+   * @param {array} items
+   * @returns {array} error resources
+   */
+  _constrain(items) {
+    const { min, max, unique, sorted } = this.options
+    const { length } = items
+    const resources = []
+
+    if (!isUndefined(min) && length < min) {
+      resources.push({ type: 'tooShort', min, length })
+    }
+    if (!isUndefined(max) && length > max) {
+      resources.push({ type: 'tooLong', max, length })
+    }
+
+    if (unique) {
+      findDuplicates(items, unique).forEach((indexes) => {
+        resources.push({ type: 'duplicate', indexes, value: items[indexes[1]] })
+      })
+    }
+
+    if (sorted) {
+      const compare = isFunction(sorted) ? sorted : compareAscending
+      for (let i = 1; i < length; i ++) {
+        if (compare(items[i - 1], items[i]) > 0) {
+          resources.push({ type: 'unsorted', indexes: [i - 1, i] })
+        }
+      }
+    }
+
+    return resources
+  }
+
+  _mock(context) {
+    const { random, maxLength } = context
+    const { min = 0, max, unique, sorted } = this.options
+    const patterns = this.pattern
+    if (!patterns.length) {
+      return []
+    }
+
+    const length = random.int(min, Math.max(min, isUndefined(max) ? maxLength : Math.min(max, maxLength)))
+    const items = []
+    // duplicate items are dropped, try limited times to fill up
+    for (let i = 0; items.length < length && i < length * 10; i ++) {
+      const item = mockValue(random.pick(patterns), context)
+      if (!unique || !findDuplicates([...items, item], unique).length) {
+        items.push(item)
+      }
+    }
+
+    if (sorted) {
+      items.sort(isFunction(sorted) ? sorted : compareAscending)
+    }
+    return items
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const schema = makeArrayJSONSchema(this.pattern, ctx)
+    const { min, max, unique, sorted } = this.options
+
+    if (!isUndefined(min)) {
+      schema.minItems = min
+    }
+    if (!isUndefined(max)) {
+      schema.maxItems = max
+    }
+    if (unique === true) {
+      schema.uniqueItems = true
+    }
+
+    const comments = []
+    if (unique && unique !== true) {
+      comments.push(makeUnsupportedJSONSchema(ctx, this, 'unique by key can not be expressed').$comment)
+    }
+    if (sorted) {
+      comments.push(makeUnsupportedJSONSchema(ctx, this, 'sorted items can not be expressed').$comment)
+    }
+    if (comments.length) {
+      schema.$comment = comments.join('; ')
+    }
+
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    const definition = { type: 'List', pattern: this.pattern.map(item => makeDefinition(item, context)) }
+    const options = {}
+    each(this.options, (value, key) => {
+      if (isUndefined(value)) {
+        return
+      }
+      if (typeof value === 'function') {
+        throw new Error('[Definition]: option `' + key + '` of List can not be serialized, it is a function.')
+      }
+      options[key] = value
+    })
+    if (!isEmpty(options)) {
+      definition.options = options
+    }
+    return definition
+  }
+
+  clone() {
+    const Constructor = getConstructorOf(this)
+    const ins = new Constructor(this.pattern, this.options)
+    return ins
+  }
+}
+
+function compareAscending(a, b) {
+  return a > b ? 1 : a < b ? -1 : 0
+}
+
+/**
+ * find pairs of indexes whose items are duplicate, each pair is [first index, duplicate index]
+ * @param {array} items
+ * @param {boolean|string|function} unique
+ */
+function findDuplicates(items, unique) {
+  const pairs = []
+
+  // compare items deeply
+  if (unique === true) {
+    items.forEach((item, i) => {
+      const first = items.findIndex(one => isEqual(one, item))
+      if (first < i) {
+        pairs.push([first, i])
+      }
+    })
+    return pairs
+  }
+
+  const getKey = isFunction(unique) ? unique : isString(unique) ? item => parse(item, unique) : item => item
+  const keys = new Map()
+  items.forEach((item, i) => {
+    const key = getKey(item)
+    if (keys.has(key)) {
+      pairs.push([keys.get(key), i])
+    }
+    else {
+      keys.set(key, i)
+    }
+  })
+  return pairs
 }
 
-export function list(pattern) {
-  const type = new List(pattern)
+/**
+ * @param {array} pattern
+ * @param {object} [options] { min, max, unique, sorted }
+ */
+export function list(pattern, options) {
+  const type = new List(pattern, options)
   return type
 }
 
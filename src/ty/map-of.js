@@ -0,0 +1,193 @@
+import {
+  isObject,
+  isString,
+  isNumber,
+  isInstanceOf,
+  inObject,
+  each,
+} from 'ts-fns'
+
+import Type from './type.js'
+import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeUnsupportedJSONSchema,
+} from './json-schema.js'
+import { coerceValue } from './coerce.js'
+import { cleanValue } from './clean.js'
+import { fillValue } from './defaults.js'
+import { mockMapOf } from './mock.js'
+import { createError, compileItem } from './compile.js'
+import { makeDefinition } from './definition.js'
+
+export class MapOf extends Type {
+  /**
+   * @param {object} pattern { key, value }, key can be any pattern, not only string
+   */
+  constructor(pattern) {
+    if (!isObject(pattern) || !inObject('key', pattern) || !inObject('value', pattern)) {
+      throw new Error('[MapOf]: pattern should be an object with { key, value }.')
+    }
+
+    super(pattern)
+    this.name = 'MapOf'
+  }
+
+  catch(value) {
+    const pattern = this.pattern
+    const tyerr = new TyError()
+    const { key: keyPattern, value: valuePattern } = pattern
+
+    if (!isInstanceOf(value, Map)) {
+      tyerr.replace({ type: 'exception', value, name: this.name, pattern })
+    }
+    else {
+      let i = 0
+      value.forEach((value, key) => {
+        const index = i ++
+        const error = this._catchItem(key, keyPattern)
+        if (error) {
+          tyerr.add({ type: 'illegal', error, pattern: keyPattern, key: getEntryKey(key, index) })
+        }
+
+        const error2 = this._catchItem(value, valuePattern)
+        if (error2) {
+          tyerr.add({ error: error2, key: getEntryKey(key, index) })
+        }
+      })
+    }
+
+    tyerr.commit()
+    return tyerr.error()
+  }
+
+  _catchItem(value, pattern) {
+    if (isInstanceOf(pattern, Type)) {
+      const type = this.isStrict && !pattern.isStrict ? pattern.strict : pattern
+      return type.catch(value)
+    }
+    return this.validate(value, pattern)
+  }
+
+  _compile() {
+    const pattern = this.pattern
+    const { key: keyPattern, value: valuePattern } = pattern
+    const validateKey = compileItem(this, keyPattern)
+    const validateValue = compileItem(this, valuePattern)
+
+    return (value) => {
+      if (!isInstanceOf(value, Map)) {
+        return createError({ type: 'exception', value, name: this.name, pattern })
+      }
+
+      let tyerr = null
+      const add = (resource) => {
+        tyerr = tyerr || new TyError()
+        tyerr.add(resource)
+      }
+
+      let i = 0
+      value.forEach((value, key) => {
+        const index = i ++
+        const error = validateKey(key)
+        if (error) {
+          add({ type: 'illegal', error, pattern: keyPattern, key: getEntryKey(key, index) })
+        }
+
+        const error2 = validateValue(value)
+        if (error2) {
+          add({ error: error2, key: getEntryKey(key, index) })
+        }
+      })
+
+      if (!tyerr) {
+        return null
+      }
+
+      tyerr.commit()
+      return tyerr.error()
+    }
+  }
+
+  // plain object will be converted to Map
+  _coerce(value) {
+    const { key: keyPattern, value: valuePattern } = this.pattern
+    const output = new Map()
+    if (isInstanceOf(value, Map)) {
+      value.forEach((value, key) => {
+        output.set(coerceValue(key, keyPattern), coerceValue(value, valuePattern))
+      })
+      return output
+    }
+    if (isObject(value)) {
+      each(value, (value, key) => {
+        output.set(coerceValue(key, keyPattern), coerceValue(value, valuePattern))
+      })
+      return output
+    }
+    return value
+  }
+
+  _clean(value, context) {
+    if (!isInstanceOf(value, Map)) {
+      return value
+    }
+    const { value: valuePattern } = this.pattern
+    const output = new Map()
+    let index = 0
+    value.forEach((value, key) => {
+      output.set(key, cleanValue(value, valuePattern, { ...context, keyPath: [...context.keyPath, getEntryKey(key, index)] }))
+      index ++
+    })
+    return output
+  }
+
+  _defaults() {
+    return undefined
+  }
+
+  _fill(value) {
+    if (!isInstanceOf(value, Map)) {
+      return value
+    }
+    const { value: valuePattern } = this.pattern
+    const output = new Map()
+    value.forEach((value, key) => {
+      output.set(key, fillValue(value, valuePattern))
+    })
+    return output
+  }
+
+  _mock(context) {
+    return mockMapOf(this.pattern, context)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const schema = makeUnsupportedJSONSchema(ctx, this, 'Map can not be expressed')
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    const { key, value } = this.pattern
+    return { type: 'MapOf', pattern: { key: makeDefinition(key, context), value: makeDefinition(value, context) } }
+  }
+}
+
+/**
+ * key of entry in key path, use `[index]` when the key can not be in key path,
+ * so that it will not be confused with a number key
+ * @param {*} key
+ * @param {number} index
+ */
+function getEntryKey(key, index) {
+  return isString(key) || isNumber(key) ? key : '[' + index + ']'
+}
+
+export function mapOf(pattern) {
+  const type = new MapOf(pattern)
+  return type
+}
+
+export default MapOf
@@ -4,10 +4,22 @@ import Ty from './ty.js'
 import {
   isObject,
   each,
+  clone,
 } from 'ts-fns'
 
 import TyError from './ty-error.js'
 import { Any } from './prototypes.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeJSONSchema,
+} from './json-schema.js'
+import { coerceValue } from './coerce.js'
+import { cleanValue } from './clean.js'
+import { fillValue } from './defaults.js'
+import { mockMapping } from './mock.js'
+import { createError, compilePattern } from './compile.js'
+import { makeDefinition } from './definition.js'
 
 export class Mapping extends Type {
   constructor(pattern) {
@@ -44,6 +56,105 @@ export class Mapping extends Type {
     tyerr.commit()
     return tyerr.error()
   }
+
+  _compile() {
+    const pattern = this.pattern
+    const { key: keyPattern, value: valuePattern } = pattern
+    const validateKey = compilePattern(this, keyPattern)
+    const validateValue = compilePattern(this, valuePattern)
+
+    return (value) => {
+      if (!isObject(value)) {
+        return createError({ type: 'exception', value, name: this.name, pattern: Object })
+      }
+
+      let tyerr = null
+      const add = (resource) => {
+        tyerr = tyerr || new TyError()
+        tyerr.add(resource)
+      }
+
+      each(value, (value, key) => {
+        const error = validateKey(key)
+        if (error) {
+          add({ type: 'illegal', error, pattern: keyPattern, key })
+        }
+
+        const error2 = validateValue(value)
+        if (error2) {
+          add({ type: 'exception', error: error2, key, pattern: valuePattern, value })
+        }
+      })
+
+      if (!tyerr) {
+        return null
+      }
+
+      tyerr.commit()
+      return tyerr.error()
+    }
+  }
+
+  _coerce(value) {
+    if (!isObject(value)) {
+      return value
+    }
+    const { value: valuePattern } = this.pattern
+    const output = {}
+    each(value, (value, key) => {
+      output[key] = coerceValue(value, valuePattern)
+    })
+    return output
+  }
+
+  _clean(value, context) {
+    if (!isObject(value)) {
+      return clone(value)
+    }
+    const { value: valuePattern } = this.pattern
+    const output = {}
+    each(value, (value, key) => {
+      output[key] = cleanValue(value, valuePattern, { ...context, keyPath: [...context.keyPath, key] })
+    })
+    return output
+  }
+
+  _defaults() {
+    return undefined
+  }
+
+  _fill(value) {
+    if (!isObject(value)) {
+      return value
+    }
+    const { value: valuePattern } = this.pattern
+    const output = {}
+    each(value, (value, key) => {
+      output[key] = fillValue(value, valuePattern)
+    })
+    return output
+  }
+
+  _mock(context) {
+    return mockMapping(this.pattern, context)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const { key, value } = this.pattern
+    const subContext = { ...ctx, keyPath: [...ctx.keyPath, '*'] }
+    const schema = {
+      type: 'object',
+      propertyNames: makeJSONSchema(key, ctx),
+      additionalProperties: makeJSONSchema(value, subContext),
+    }
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    const { key, value } = this.pattern
+    return { type: 'Mapping', pattern: { key: makeDefinition(key, context), value: makeDefinition(value, context) } }
+  }
 }
 
 export function mapping(pattern) {
@@ -0,0 +1,735 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isFunction,
+  isString,
+  isNumber,
+  isNaN,
+  isConstructor,
+  inObject,
+  clone,
+  isUndefined,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import {
+  Null,
+  Undefined,
+  None,
+  Numeric,
+  Any,
+  Int,
+  Float,
+  Negative,
+  Positive,
+  Finity,
+  Zero,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  HexColor,
+  Semver,
+  Phone,
+  TypedArray,
+} from './prototypes.js'
+
+const CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+const PRINTABLE_CHARS = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~'
+const HEX_CHARS = '0123456789abcdef'
+const DIGIT_CHARS = '0123456789'
+const LOWER_CHARS = 'abcdefghijklmnopqrstuvwxyz'
+const RETRY_TIMES = 20
+
+// BigInt64Array and BigUint64Array are not supported by all environments
+const typedArrays = [Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array]
+
+const mockers = [
+  { proto: Number, mock: random => random.number(-1000, 1000) },
+  { proto: String, mock: random => random.string(0, 10) },
+  { proto: Boolean, mock: random => random.bool() },
+  { proto: Object, mock: () => ({}) },
+  { proto: Array, mock: () => [] },
+  { proto: Function, mock: () => function() {} },
+  { proto: Symbol, mock: random => Symbol(random.string(1, 8)) },
+  { proto: Infinity, mock: () => Infinity },
+  { proto: Date, mock: random => new Date(random.int(0, 4102444800000)) },
+  { proto: Null, mock: () => null },
+  { proto: Undefined, mock: () => undefined },
+  { proto: None, mock: random => random.pick([null, undefined]) },
+  { proto: Any, mock: random => random.pick([null, random.bool(), random.int(-100, 100), random.string(0, 10), {}, []]) },
+  { proto: Numeric, mock: random => random.int(-1000, 1000) + '' },
+  { proto: Int, mock: random => random.int(-1000, 1000) },
+  { proto: Float, mock: random => random.int(-1000, 1000) + random.int(1, 99) / 100 },
+  { proto: Negative, mock: random => -random.number(0.01, 1000) },
+  { proto: Positive, mock: random => random.number(0.01, 1000) },
+  { proto: Finity, mock: random => random.number(-1000, 1000) },
+  { proto: Zero, mock: () => 0 },
+  { proto: Natural, mock: random => random.int(0, 1000) },
+  { proto: String8, mock: random => random.string(0, 8) },
+  { proto: String16, mock: random => random.string(0, 16) },
+  { proto: String32, mock: random => random.string(0, 32) },
+  { proto: String64, mock: random => random.string(0, 64) },
+  { proto: String128, mock: random => random.string(0, 128) },
+  { proto: Email, mock: random => random.string(1, 8, LOWER_CHARS) + '@' + random.string(1, 8, LOWER_CHARS) + '.' + random.pick(['com', 'org', 'net', 'io']) },
+  { proto: Url, mock: random => 'https://' + random.string(1, 8, LOWER_CHARS) + '.com/' + random.string(0, 8, LOWER_CHARS) },
+  { proto: Uuid, mock: random => [random.string(8, 8, HEX_CHARS), random.string(4, 4, HEX_CHARS), '4' + random.string(3, 3, HEX_CHARS), random.pick(['8', '9', 'a', 'b']) + random.string(3, 3, HEX_CHARS), random.string(12, 12, HEX_CHARS)].join('-') },
+  { proto: IsoDate, mock: random => new Date(random.int(0, 4102444800000)).toISOString().substr(0, 10) },
+  { proto: IsoDateTime, mock: random => new Date(random.int(0, 4102444800000)).toISOString() },
+  { proto: Ipv4, mock: random => [0, 0, 0, 0].map(() => random.int(0, 255)).join('.') },
+  { proto: Ipv6, mock: random => [0, 0, 0, 0, 0, 0, 0, 0].map(() => random.string(1, 4, HEX_CHARS)).join(':') },
+  { proto: HexColor, mock: random => '#' + random.string(6, 6, HEX_CHARS) },
+  { proto: Semver, mock: random => [random.int(0, 20), random.int(0, 20), random.int(0, 20)].join('.') },
+  { proto: Phone, mock: random => '+' + random.int(1, 9) + random.string(6, 12, DIGIT_CHARS) },
+  { proto: ArrayBuffer, mock: random => mockTypedArray(Uint8Array, random).buffer },
+  { proto: TypedArray, mock: random => mockTypedArray(random.pick(typedArrays), random) },
+  ...typedArrays.map(proto => ({ proto, mock: random => mockTypedArray(proto, random) })),
+]
+
+function mockTypedArray(Constructor, random) {
+  const length = random.int(0, 8)
+  const items = []
+  for (let i = 0; i < length; i ++) {
+    items.push(random.int(0, 255))
+  }
+  return Constructor.from(items)
+}
+
+/**
+ * create a random generator with seed, the same seed generate the same sequence
+ * @param {number|string} [seed]
+ */
+export function createRandom(seed = Date.now()) {
+  let state = isString(seed) ? hashString(seed) : seed >>> 0
+
+  // mulberry32
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  const random = {
+    next,
+    // integer between min and max, includes min and max
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    // number between min and max with 2 decimals
+    number: (min, max) => Math.round((min + next() * (max - min)) * 100) / 100,
+    bool: (rate = 0.5) => next() < rate,
+    pick: items => items[Math.floor(next() * items.length)],
+    string: (min, max, chars = CHARS) => {
+      const length = random.int(min, max)
+      let str = ''
+      for (let i = 0; i < length; i ++) {
+        str += chars.charAt(Math.floor(next() * chars.length))
+      }
+      return str
+    },
+  }
+  return random
+}
+
+function hashString(str) {
+  let hash = 0
+  for (let i = 0, len = str.length; i < len; i ++) {
+    hash = (Math.imul(31, hash) + str.charCodeAt(i)) >>> 0
+  }
+  return hash
+}
+
+/**
+ * @param {object} options
+ * @param {number|string} [options.seed]
+ * @param {number} [options.maxLength] max length of list, default 5
+ */
+export function createMockContext(options = {}) {
+  const { seed, maxLength = 5 } = options
+  return {
+    random: createRandom(seed),
+    maxLength,
+  }
+}
+
+/**
+ * mock a value which matches the type, retry when the generated value does not match
+ * @param {Type} type
+ * @param {object} context
+ */
+export function mockType(type, context) {
+  for (let i = 0; i < RETRY_TIMES; i ++) {
+    const value = type._mock(context)
+    if (type.test(value)) {
+      return value
+    }
+  }
+  throw new Error('[mock]: can not generate value for ' + type.name + '.')
+}
+
+/**
+ * mock a value which matches the pattern
+ * @param {*} pattern
+ * @param {object} context
+ */
+export function mockValue(pattern, context) {
+  const { random } = context
+
+  if (isInstanceOf(pattern, Type)) {
+    return pattern._mock(context)
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    const data = {}
+    mockProperty(pattern, data, 'value', context)
+    return data.value
+  }
+
+  if (isArray(pattern)) {
+    return mockList(pattern, context)
+  }
+
+  if (isObject(pattern)) {
+    return mockDict(pattern, context)
+  }
+
+  const item = mockers.find(item => item.proto === pattern)
+  if (item) {
+    return item.mock(random)
+  }
+
+  if (isInstanceOf(pattern, RegExp)) {
+    return mockRegExp(pattern, random)
+  }
+
+  if (isInstanceOf(pattern, Prototype) && pattern.stringOf) {
+    return mockStringOf(pattern.stringOf, random)
+  }
+
+  if (isNaN(pattern)) {
+    return NaN
+  }
+
+  if (Prototype.is(pattern).existing()) {
+    return mockByCandidates(value => Prototype.is(pattern).typeof(value), pattern, context)
+  }
+
+  // certain value
+  return pattern
+}
+
+/**
+ * mock an array whose items match one of patterns
+ * @param {array} patterns
+ * @param {object} context
+ */
+export function mockList(patterns, context) {
+  const { random, maxLength } = context
+  if (!patterns.length) {
+    return []
+  }
+
+  const length = random.int(0, maxLength)
+  const items = []
+  for (let i = 0; i < length; i ++) {
+    items.push(mockValue(random.pick(patterns), context))
+  }
+  return items
+}
+
+/**
+ * mock an object which matches pattern,
+ * keys whose rule depends on other keys will be generated at last
+ * @param {object} pattern
+ * @param {object} context
+ */
+export function mockDict(pattern, context) {
+  const data = {}
+  const keys = Object.keys(pattern)
+  const isDependent = key => isInstanceOf(pattern[key], Rule) && isDependentRule(pattern[key])
+  const sorted = [...keys.filter(key => !isDependent(key)), ...keys.filter(isDependent)]
+
+  sorted.forEach((key) => {
+    mockProperty(pattern[key], data, key, context)
+  })
+
+  // keep the order of keys
+  const output = {}
+  keys.forEach((key) => {
+    if (inObject(key, data)) {
+      output[key] = data[key]
+    }
+  })
+  return output
+}
+
+function isDependentRule(rule) {
+  return ['determine', 'shouldexist', 'shouldnotexist'].indexOf(rule.name) > -1
+}
+
+/**
+ * mock a property of data, rules may not generate the property
+ * @param {*} pattern
+ * @param {object|array} data
+ * @param {string|number} key
+ * @param {object} context
+ */
+export function mockProperty(pattern, data, key, context) {
+  if (!isInstanceOf(pattern, Rule)) {
+    data[key] = mockValue(pattern, context)
+    return
+  }
+
+  const { random } = context
+  const rule = pattern
+  const { name } = rule
+  const options = rule.options || {}
+
+  if (name === 'ifexist' || name === 'ifmatch' || name === 'withDefault') {
+    if (random.bool()) {
+      mockProperty(rule.pattern, data, key, context)
+    }
+    return
+  }
+
+  if (name === 'nullable') {
+    if (random.bool(0.3)) {
+      data[key] = null
+    }
+    else {
+      mockProperty(rule.pattern, data, key, context)
+    }
+    return
+  }
+
+  if (name === 'equal') {
+    data[key] = clone(rule.pattern)
+    return
+  }
+
+  if (name === 'shouldmatch' || name === 'ifnotmatch' || name === 'asynch') {
+    if (!isFunction(rule.pattern) || Prototype.is(rule.pattern).existing()) {
+      mockProperty(rule.pattern, data, key, context)
+      return
+    }
+  }
+
+  if (name === 'determine') {
+    mockProperty(options.use.call(rule, data, key), data, key, context)
+    return
+  }
+
+  if (name === 'shouldexist' || name === 'shouldnotexist') {
+    // whether the key should exist
+    if (options.shouldcheck.call(rule, data, key) || random.bool()) {
+      mockProperty(rule.pattern, data, key, context)
+    }
+    // shouldnotexist: when the key should not exist, it may be generated by random
+    if (name === 'shouldnotexist' && rule.catch(data, key)) {
+      delete data[key]
+    }
+    return
+  }
+
+  if (name === 'instance' && isConstructor(rule.pattern)) {
+    try {
+      data[key] = new rule.pattern()
+      return
+    }
+    catch (e) {
+      // use candidates
+    }
+  }
+
+  if (name === 'lambda') {
+    const [, OutputType] = rule.pattern
+    data[key] = () => mockValue(OutputType, context)
+    return
+  }
+
+  if (name === 'asyncLambda') {
+    const [, OutputType] = rule.pattern
+    data[key] = () => Promise.resolve(mockValue(OutputType, context))
+    return
+  }
+
+  if (name === 'promise') {
+    data[key] = Promise.resolve(mockValue(rule.pattern, context))
+    return
+  }
+
+  if (name === 'match') {
+    for (let i = 0; i < RETRY_TIMES; i ++) {
+      mockProperty(random.pick(rule.pattern), data, key, context)
+      if (!rule.catch(data, key)) {
+        return
+      }
+    }
+  }
+
+  data[key] = mockByCandidates((value) => {
+    const o = { ...data, [key]: value }
+    return !rule.catch(o, key)
+  }, rule, context)
+}
+
+/**
+ * pick one from some normal values which pass the validate function
+ * @param {function} validate
+ * @param {*} pattern
+ * @param {object} context
+ */
+function mockByCandidates(validate, pattern, context) {
+  const { random } = context
+  const candidates = [
+    0, 1, -1, random.int(-1000, 1000), random.number(-1000, 1000),
+    '', random.string(1, 10), random.int(0, 1000) + '',
+    true, false, null, undefined, {}, [], new Date(),
+  ]
+  const items = candidates.filter(validate)
+  if (!items.length) {
+    throw new Error('[mock]: can not generate value for ' + pattern + '.')
+  }
+  return random.pick(items)
+}
+
+/**
+ * mock a string of `StringOf`, the length may not match when pattern given, it will be checked by `mockType`
+ * @param {object} stringOf { min, max, pattern }
+ * @param {object} random
+ */
+function mockStringOf({ min = 0, max, pattern }, random) {
+  if (pattern) {
+    return mockRegExp(pattern, random)
+  }
+  return random.string(min, isUndefined(max) ? min + 10 : max)
+}
+
+/**
+ * generate a string which matches the regexp,
+ * supports normal syntax: chars, [], (), |, ., \d \w \s, * + ? {n,m}
+ * @param {RegExp} regexp
+ * @param {object} random
+ */
+export function mockRegExp(regexp, random) {
+  const tree = parseRegExp(regexp.source)
+  for (let i = 0; i < RETRY_TIMES; i ++) {
+    const str = generateRegExpNode(tree, random)
+    regexp.lastIndex = 0
+    if (regexp.test(str)) {
+      return str
+    }
+  }
+  throw new Error('[mock]: can not generate string for ' + regexp + '.')
+}
+
+function parseRegExp(source) {
+  let i = 0
+
+  const parseAlternation = () => {
+    const branches = [parseSequence()]
+    while (source[i] === '|') {
+      i ++
+      branches.push(parseSequence())
+    }
+    return { type: 'alternation', branches }
+  }
+
+  const parseSequence = () => {
+    const items = []
+    while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+      const atom = parseAtom()
+      const [min, max] = parseQuantifier()
+      items.push({ atom, min, max })
+    }
+    return items
+  }
+
+  const parseAtom = () => {
+    const char = source[i ++]
+    if (char === '(') {
+      if (source[i] === '?') {
+        i += 2 // (?: (?= (?!
+      }
+      const node = parseAlternation()
+      i ++ // )
+      return node
+    }
+    if (char === '[') {
+      return parseClass()
+    }
+    if (char === '\\') {
+      return parseEscape(source[i ++])
+    }
+    if (char === '.') {
+      return { type: 'chars', chars: CHARS }
+    }
+    if (char === '^' || char === '$') {
+      return { type: 'chars', chars: '' }
+    }
+    return { type: 'chars', chars: char }
+  }
+
+  const parseEscape = (char) => {
+    if (char === 'd') {
+      return { type: 'chars', chars: '0123456789' }
+    }
+    if (char === 'w') {
+      return { type: 'chars', chars: CHARS + '_' }
+    }
+    if (char === 's') {
+      return { type: 'chars', chars: ' ' }
+    }
+    if (char === 'D' || char === 'W' || char === 'S') {
+      const excludes = parseEscape(char.toLowerCase()).chars
+      return { type: 'chars', chars: PRINTABLE_CHARS.split('').filter(c => excludes.indexOf(c) === -1).join('') }
+    }
+    if (char === 'b' || char === 'B') {
+      return { type: 'chars', chars: '' }
+    }
+    if (char === 'n') {
+      return { type: 'chars', chars: '\n' }
+    }
+    if (char === 't') {
+      return { type: 'chars', chars: '\t' }
+    }
+    return { type: 'chars', chars: char }
+  }
+
+  const parseClass = () => {
+    let negative = false
+    if (source[i] === '^') {
+      negative = true
+      i ++
+    }
+
+    let chars = ''
+    while (i < source.length && source[i] !== ']') {
+      let char = source[i ++]
+      if (char === '\\') {
+        chars += parseEscape(source[i ++]).chars
+        continue
+      }
+      if (source[i] === '-' && source[i + 1] && source[i + 1] !== ']') {
+        const end = source[i + 1]
+        i += 2
+        for (let code = char.charCodeAt(0); code <= end.charCodeAt(0); code ++) {
+          chars += String.fromCharCode(code)
+        }
+        continue
+      }
+      chars += char
+    }
+    i ++ // ]
+
+    if (negative) {
+      chars = PRINTABLE_CHARS.split('').filter(c => chars.indexOf(c) === -1).join('')
+    }
+    return { type: 'chars', chars }
+  }
+
+  const parseQuantifier = () => {
+    const start = i
+    const char = source[i]
+    let range = [1, 1]
+    if (char === '*') {
+      range = [0, 3]
+      i ++
+    }
+    else if (char === '+') {
+      range = [1, 4]
+      i ++
+    }
+    else if (char === '?') {
+      range = [0, 1]
+      i ++
+    }
+    else if (char === '{') {
+      const end = source.indexOf('}', i)
+      const matched = source.substring(i + 1, end).match(/^([0-9]+)(,([0-9]*))?$/)
+      if (matched) {
+        const min = +matched[1]
+        const max = matched[2] ? (matched[3] ? +matched[3] : min + 3) : min
+        range = [min, max]
+        i = end + 1
+      }
+    }
+    // lazy mode
+    if (i > start && source[i] === '?') {
+      i ++
+    }
+    return range
+  }
+
+  return parseAlternation()
+}
+
+function generateRegExpNode(node, random) {
+  if (node.type === 'alternation') {
+    const items = random.pick(node.branches)
+    return items.map(({ atom, min, max }) => {
+      const count = random.int(min, max)
+      let str = ''
+      for (let i = 0; i < count; i ++) {
+        str += generateRegExpNode(atom, random)
+      }
+      return str
+    }).join('')
+  }
+
+  const { chars } = node
+  return chars ? random.pick(chars.split('')) : ''
+}
+
+/**
+ * mock a value in range
+ * @param {object} pattern { min, max, minBound, maxBound }, min and max of date should be timestamps
+ * @param {object} context
+ * @param {string} [kind] 'number', 'date', 'bigint' or 'length'
+ */
+export function mockRange(pattern, context, kind = 'number') {
+  const { random } = context
+  const { min, max, minBound = true, maxBound = true } = pattern
+
+  if (kind === 'length') {
+    const from = isFinite(min) ? (minBound ? Math.ceil(min) : Math.floor(min) + 1) : 0
+    const to = isFinite(max) ? (maxBound ? Math.floor(max) : Math.ceil(max) - 1) : from + 10
+    return random.string(Math.max(from, 0), Math.max(to, 0))
+  }
+
+  if (kind === 'bigint') {
+    const value = mockNumberInRange({ min: Number(min), max: Number(max), minBound, maxBound }, random)
+    return BigInt(Math.round(value))
+  }
+
+  const value = mockNumberInRange(pattern, random)
+  // timestamp should be integer
+  return kind === 'date' ? new Date(Math.round(value)) : value
+}
+
+function mockNumberInRange(pattern, random) {
+  const { min, max, minBound = true, maxBound = true } = pattern
+  const from = isNumber(min) && isFinite(min) ? min : (isNumber(max) && isFinite(max) ? max : 0) - 1000
+  const to = isNumber(max) && isFinite(max) ? max : from + 1000
+
+  for (let i = 0; i < RETRY_TIMES; i ++) {
+    const value = from + random.next() * (to - from)
+    if ((minBound || value > min) && (maxBound || value < max)) {
+      return value
+    }
+  }
+  return (from + to) / 2
+}
+
+/**
+ * mock an object whose keys and values match patterns
+ * @param {object} pattern { key, value }
+ * @param {object} context
+ */
+export function mockMapping(pattern, context) {
+  const { random, maxLength } = context
+  const { key: keyPattern, value: valuePattern } = pattern
+  const keyType = isInstanceOf(keyPattern, Type) ? keyPattern : new Type(keyPattern)
+  const count = random.int(0, maxLength)
+  const output = {}
+
+  for (let i = 0; i < count; i ++) {
+    const key = mockValue(keyPattern, context)
+    // key of object is always string
+    if (!isString(key) || !keyType.test(key)) {
+      continue
+    }
+    output[key] = mockValue(valuePattern, context)
+  }
+  return output
+}
+
+/**
+ * mock a Map whose keys and values match patterns
+ * @param {object} pattern { key, value }
+ * @param {object} context
+ */
+export function mockMapOf(pattern, context) {
+  const { random, maxLength } = context
+  const { key: keyPattern, value: valuePattern } = pattern
+  const count = random.int(0, maxLength)
+  const output = new Map()
+
+  for (let i = 0; i < count; i ++) {
+    output.set(mockValue(keyPattern, context), mockValue(valuePattern, context))
+  }
+  return output
+}
+
+/**
+ * mock a Set whose items match pattern
+ * @param {*} pattern
+ * @param {object} context
+ */
+export function mockSetOf(pattern, context) {
+  const { random, maxLength } = context
+  const count = random.int(0, maxLength)
+  const output = new Set()
+
+  for (let i = 0; i < count; i ++) {
+    output.add(mockValue(pattern, context))
+  }
+  return output
+}
+
+/**
+ * mock an array whose items match patterns one by one
+ * @param {array} pattern
+ * @param {object} context
+ */
+export function mockTuple(pattern, context) {
+  const last = pattern[pattern.length - 1]
+  const rest = isInstanceOf(last, Rule) && last.name === 'rest' ? last : null
+  const patterns = rest ? pattern.slice(0, -1) : pattern
+
+  const items = []
+  patterns.forEach((pattern, index) => {
+    mockProperty(pattern, items, index, context)
+  })
+  // optional items which are not generated in the middle should be filled
+  let length = 0
+  for (let i = 0; i < patterns.length; i ++) {
+    if (inObject(i, items)) {
+      length = i + 1
+    }
+  }
+  const output = []
+  for (let i = 0; i < length; i ++) {
+    if (inObject(i, items)) {
+      output.push(items[i])
+    }
+    else {
+      const data = {}
+      mockProperty(patterns[i].pattern, data, 'value', context)
+      output.push(data.value)
+    }
+  }
+
+  // rest items can only be generated after all positions
+  if (rest && output.length === patterns.length) {
+    const { random, maxLength } = context
+    const count = random.int(0, maxLength)
+    for (let i = 0; i < count; i ++) {
+      output.push(mockValue(rest.pattern, context))
+    }
+  }
+
+  return output
+}
@@ -28,13 +28,20 @@ export class Prototype {
 export default Prototype
 
 const prototypes = []
-Prototype.register = (proto, validate) => {
+/**
+ * register a prototype
+ * @param {*} proto
+ * @param {function} validate
+ * @param {string} [name] name in definitions, default `proto.name`
+ */
+Prototype.register = (proto, validate, name) => {
   const item = prototypes.find(item => item.proto === proto)
   if (item) {
     item.validate = validate
+    item.name = name || item.name
   }
   else {
-    prototypes.push({ proto, validate })
+    prototypes.push({ proto, validate, name: name || (proto && proto.name) })
   }
 }
 Prototype.unregister = (proto) => {
@@ -52,6 +59,7 @@ Prototype.unregister = (proto) => {
   }
 }
 Prototype.find = proto => prototypes.find(item => item.proto === proto)
+Prototype.findByName = name => prototypes.find(item => item.name === name)
 Prototype.is = proto => ({
   // Prototype.is(Number).existing()
   existing: () => isInstanceOf(proto, Prototype) || isNaN(proto) || isInstanceOf(proto, RegExp) || isConstructor(proto) || !!Prototype.find(proto),
@@ -93,3 +93,154 @@ export const String128 = /*#__PURE__*/new Prototype({
   name: 'String128',
   validate: value => isString(value) && value.length <= 128,
 })
+
+export const Email = /*#__PURE__*/new Prototype({
+  name: 'Email',
+  validate: value => isString(value) && /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/.test(value),
+})
+
+export const Url = /*#__PURE__*/new Prototype({
+  name: 'Url',
+  validate: value => isString(value) && /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^\s/?#]+[^\s]*$/.test(value),
+})
+
+export const Uuid = /*#__PURE__*/new Prototype({
+  name: 'Uuid',
+  validate: value => isString(value) && /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+})
+
+// yyyy-mm-dd
+export const IsoDate = /*#__PURE__*/new Prototype({
+  name: 'IsoDate',
+  validate: (value) => {
+    const matched = isString(value) && value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    return !!matched && isDate(matched[1], matched[2], matched[3])
+  },
+})
+
+// yyyy-mm-ddThh:mm:ss(.sss)(Z|+hh:mm), the offset is required as RFC 3339 does
+export const IsoDateTime = /*#__PURE__*/new Prototype({
+  name: 'IsoDateTime',
+  validate: (value) => {
+    const matched = isString(value) && value.match(/^(\d{4})-(\d{2})-(\d{2})[Tt ](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/)
+    if (!matched) {
+      return false
+    }
+    const [, year, month, day, hour, minute, second, , , offsetHour = '00', offsetMinute = '00'] = matched
+    return isDate(year, month, day) && +hour < 24 && +minute < 60 && +second <= 60 && +offsetHour < 24 && +offsetMinute < 60
+  },
+})
+
+export const Ipv4 = /*#__PURE__*/new Prototype({
+  name: 'Ipv4',
+  validate: isIpv4,
+})
+
+export const Ipv6 = /*#__PURE__*/new Prototype({
+  name: 'Ipv6',
+  validate: isIpv6,
+})
+
+// #rgb #rgba #rrggbb #rrggbbaa
+export const HexColor = /*#__PURE__*/new Prototype({
+  name: 'HexColor',
+  validate: value => isString(value) && /^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/.test(value),
+})
+
+// https://semver.org
+export const Semver = /*#__PURE__*/new Prototype({
+  name: 'Semver',
+  validate: value => isString(value) && /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/.test(value),
+})
+
+// E.164, i.e. +8613800000000
+export const Phone = /*#__PURE__*/new Prototype({
+  name: 'Phone',
+  validate: value => isString(value) && /^\+[1-9]\d{1,14}$/.test(value),
+})
+
+// any typed array, i.e. Uint8Array, Float32Array, except DataView
+export const TypedArray = /*#__PURE__*/new Prototype({
+  name: 'TypedArray',
+  validate: value => typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(value) && !(value instanceof DataView),
+})
+
+/**
+ * create a prototype of string with length and pattern limits
+ * @param {object} options
+ * @param {number} [options.min] min length
+ * @param {number} [options.max] max length
+ * @param {RegExp} [options.pattern]
+ * @example
+ * const Username = StringOf({ min: 3, max: 16, pattern: /^[a-z0-9_]+$/ })
+ */
+export function StringOf(options = {}) {
+  const { min, max, pattern } = options
+  const params = [isUndefined(min) ? 0 : min, isUndefined(max) ? '' : max]
+  if (pattern) {
+    params.push(pattern)
+  }
+
+  const proto = new Prototype({
+    name: 'StringOf(' + params.join(',') + ')',
+    validate: (value) => {
+      if (!isString(value)) {
+        return false
+      }
+      if (!isUndefined(min) && value.length < min) {
+        return false
+      }
+      if (!isUndefined(max) && value.length > max) {
+        return false
+      }
+      if (pattern) {
+        pattern.lastIndex = 0
+        return pattern.test(value)
+      }
+      return true
+    },
+  })
+  // used by JSON Schema, TypeScript and mock
+  proto.stringOf = { min, max, pattern }
+  return proto
+}
+
+// ====================
+
+function isDate(year, month, day) {
+  const date = new Date(0)
+  date.setUTCFullYear(+year, +month - 1, +day)
+  return date.getUTCFullYear() === +year && date.getUTCMonth() === +month - 1 && date.getUTCDate() === +day
+}
+
+function isIpv4(value) {
+  return isString(value) && /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value)
+}
+
+function isIpv6(value) {
+  if (!isString(value)) {
+    return false
+  }
+
+  let str = value
+  // ipv4 at the end, i.e. ::ffff:192.168.0.1
+  const tail = str.match(/:([^:]*\.[^:]*)$/)
+  if (tail) {
+    if (!isIpv4(tail[1])) {
+      return false
+    }
+    str = str.slice(0, str.length - tail[1].length) + '0:0'
+  }
+
+  const parts = str.split('::')
+  if (parts.length > 2) {
+    return false
+  }
+
+  const groups = parts.reduce((groups, part) => part ? [...groups, ...part.split(':')] : groups, [])
+  if (!groups.every(group => /^[0-9a-fA-F]{1,4}$/.test(group))) {
+    return false
+  }
+
+  return parts.length === 2 ? groups.length < 8 : groups.length === 8
+}
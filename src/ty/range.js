@@ -1,13 +1,39 @@
 import {
   inObject,
+  inArray,
   isObject,
   isNumber,
+  isString,
+  isArray,
+  isInstanceOf,
+  isUndefined,
 } from 'ts-fns'
 
 import Type from './type.js'
 import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeUnsupportedJSONSchema,
+} from './json-schema.js'
+import { coerceNumber } from './coerce.js'
+import { mockRange } from './mock.js'
+import { createError } from './compile.js'
+import { makeValueDefinition } from './definition.js'
+import { IsoDate, IsoDateTime } from './prototypes.js'
+
+const kinds = ['number', 'date', 'bigint', 'length']
 
 export class Range extends Type {
+  /**
+   * @param {object} pattern
+   * @param {number|Date|string|bigint} pattern.min
+   * @param {number|Date|string|bigint} pattern.max
+   * @param {boolean} [pattern.minBound] whether contains the min, default true
+   * @param {boolean} [pattern.maxBound] whether contains the max, default true
+   * @param {string} [pattern.of] what to compare: 'number', 'date' (Date or ISO string), 'bigint' or 'length' (of string or array),
+   * default by the type of min and max
+   */
   constructor(pattern) {
     if (!isObject(pattern)) {
       throw new Error('[Range]: pattern should be an object.')
@@ -21,21 +47,29 @@ export class Range extends Type {
       throw new Error('[Range]: max should be in pattern.')
     }
 
+    if (!isUndefined(pattern.of) && !inArray(pattern.of, kinds)) {
+      throw new Error('[Range]: of should be one of ' + kinds.join(', ') + '.')
+    }
+
+    const kind = getKind(pattern)
+    // an invalid date makes NaN bound, which lets all values pass
+    if (kind === 'date') {
+      ['min', 'max'].forEach((key) => {
+        if (isNaN(getBound(pattern[key], kind))) {
+          throw new Error('[Range]: ' + key + ' should be a valid date.')
+        }
+      })
+    }
+
     super(pattern)
     this.name = 'Range'
+    this.kind = kind
   }
   catch(value) {
     const pattern = this.pattern
     const tyerr = new TyError()
-    const { min, max, minBound = true, maxBound = true } = pattern
 
-    if (!isNumber(value)) {
-      tyerr.replace({ type: 'exception', value, name: this.name, pattern })
-    }
-    else if ((minBound && value < min) || (!minBound && value <= min)) {
-      tyerr.replace({ type: 'exception', value, name: this.name, pattern })
-    }
-    else if ((maxBound && value > max) || (!maxBound && value >= max)) {
+    if (!this._includes(value)) {
       tyerr.replace({ type: 'exception', value, name: this.name, pattern })
     }
     else {
@@ -45,6 +79,177 @@ export class Range extends Type {
     tyerr.commit()
     return tyerr.error()
   }
+
+  _compile() {
+    const pattern = this.pattern
+    return (value) => {
+      if (!this._includes(value)) {
+        return createError({ type: 'exception', value, name: this.name, pattern })
+      }
+      return null
+    }
+  }
+
+  /**
+   * whether the value is in range
+   * @param {*} value
+   */
+  _includes(value) {
+    const { kind } = this
+    const { min, max, minBound = true, maxBound = true } = this.pattern
+    const measure = getMeasure(value, kind)
+    if (isUndefined(measure)) {
+      return false
+    }
+
+    const from = getBound(min, kind)
+    const to = getBound(max, kind)
+    if ((minBound && measure < from) || (!minBound && measure <= from)) {
+      return false
+    }
+    if ((maxBound && measure > to) || (!maxBound && measure >= to)) {
+      return false
+    }
+    return true
+  }
+
+  _coerce(value) {
+    const { kind } = this
+    if (kind === 'date') {
+      return isNumber(value) ? new Date(value) : value
+    }
+    if (kind === 'bigint') {
+      // parse integer strings directly, so that big numbers keep precision
+      if (isString(value) && /^\s*-?[0-9]+\s*$/.test(value)) {
+        return toBigInt(value.trim())
+      }
+      return isNumber(value) && Number.isInteger(value) ? toBigInt(value) : value
+    }
+    if (kind === 'length') {
+      return value
+    }
+    return coerceNumber(value)
+  }
+
+  _clean(value) {
+    return value
+  }
+
+  _defaults() {
+    return undefined
+  }
+
+  _fill(value) {
+    return value
+  }
+
+  _mock(context) {
+    const { kind } = this
+    const { min, max } = this.pattern
+    const pattern = { ...this.pattern, min: getBound(min, kind), max: getBound(max, kind) }
+    return mockRange(pattern, context, kind)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const { kind } = this
+    const { min, max, minBound = true, maxBound = true } = this.pattern
+
+    if (kind === 'date') {
+      const schema = {
+        type: 'string',
+        format: 'date-time',
+        ...makeUnsupportedJSONSchema(ctx, this, 'range of date can not be expressed'),
+      }
+      return makeJSONSchemaDocument(schema, ctx)
+    }
+
+    if (kind === 'length') {
+      // minLength works for string, and minItems works for array
+      const schema = {}
+      if (isFinite(min)) {
+        schema.minLength = schema.minItems = minBound ? min : Math.floor(min) + 1
+      }
+      if (isFinite(max)) {
+        schema.maxLength = schema.maxItems = maxBound ? max : Math.ceil(max) - 1
+      }
+      return makeJSONSchemaDocument(schema, ctx)
+    }
+
+    // Infinity and -Infinity mean no limit, they can not be in JSON
+    const from = Number(min)
+    const to = Number(max)
+    const schema = { type: kind === 'bigint' ? 'integer' : 'number' }
+    if (isFinite(from)) {
+      schema[minBound ? 'minimum' : 'exclusiveMinimum'] = from
+    }
+    if (isFinite(to)) {
+      schema[maxBound ? 'maximum' : 'exclusiveMaximum'] = to
+    }
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition() {
+    const { min, max, ...others } = this.pattern
+    return {
+      type: 'Range',
+      pattern: { ...others, min: makeValueDefinition(min), max: makeValueDefinition(max) },
+    }
+  }
+}
+
+function getKind(pattern) {
+  const { of, min, max } = pattern
+  if (of) {
+    return of
+  }
+  if ([min, max].some(item => isInstanceOf(item, Date) || isString(item))) {
+    return 'date'
+  }
+  if ([min, max].some(item => typeof item === 'bigint')) {
+    return 'bigint'
+  }
+  return 'number'
+}
+
+/**
+ * get the number (or bigint) to compare of value, undefined when the value can not be compared
+ * @param {*} value
+ * @param {string} kind
+ */
+function getMeasure(value, kind) {
+  if (kind === 'date') {
+    if (isInstanceOf(value, Date)) {
+      const time = value.getTime()
+      return isNaN(time) ? undefined : time
+    }
+    if (IsoDate.validate(value) || IsoDateTime.validate(value)) {
+      return Date.parse(value)
+    }
+    return
+  }
+  if (kind === 'bigint') {
+    return typeof value === 'bigint' ? value : undefined
+  }
+  if (kind === 'length') {
+    return isString(value) || isArray(value) ? value.length : undefined
+  }
+  return isNumber(value) ? value : undefined
+}
+
+// min and max of date can be Date, ISO string, timestamp or Infinity
+function getBound(bound, kind) {
+  if (kind === 'date' && isInstanceOf(bound, Date)) {
+    return bound.getTime()
+  }
+  if (kind === 'date' && isString(bound)) {
+    return Date.parse(bound)
+  }
+  return bound
+}
+
+function toBigInt(value) {
+  return typeof BigInt === 'function' ? BigInt(value) : value
 }
 
 export default Range
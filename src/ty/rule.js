@@ -4,9 +4,11 @@ import {
   isInstanceOf,
   isString,
   isNull,
+  getConstructorOf,
 } from 'ts-fns'
 
 import Type from './type.js'
+import { resolveAsync, isSettledAsync } from './async.js'
 
 export class Rule {
   /**
@@ -64,7 +66,8 @@ export class Rule {
       error = makeError(err)
     }
     else if (isFunction(validate)) {
-      const res = validate.call(this, data, key)
+      // validate may return a promise, which will be resolved in async validation
+      const res = resolveAsync(this.options, data, key, () => validate.call(this, data, key))
       if (isBoolean(res)) {
         if (!res) {
           error = makeError('exception')
@@ -103,13 +106,16 @@ export class Rule {
     // 3 validate
     let error = this.validate(data, key, pattern)
 
+    // side effects wait for async validation to settle
+    const settled = isSettledAsync(data, key)
+
     // 4 decorate
-    if (!error && isFunction(decorate)) {
+    if (!error && isFunction(decorate) && settled) {
       decorate.call(this, data, key)
     }
 
     // 5 override
-    if (error && isFunction(override)) {
+    if (error && isFunction(override) && settled) {
       override.call(this, data, key)
       error = this.validate(data, key, pattern)
     }
@@ -124,7 +130,7 @@ export class Rule {
   }
 
   clone() {
-    const Constructor = getConstructor(this)
+    const Constructor = getConstructorOf(this)
     const ins = new Constructor(this.options)
     return ins
   }
@@ -11,9 +11,11 @@ import Type from './type.js'
 import Rule from './rule.js'
 import Tuple from './tuple.js'
 import TyError from './ty-error.js'
+import { waitAsync } from './async.js'
 
 import Dict from './dict.js'
 import List from './list.js'
+import Brand from './brand.js'
 import { Any } from './prototypes.js'
 
 export function create(type) {
@@ -48,16 +50,24 @@ function createRule(type) {
  */
 export function asynch(fn) {
   let pattern = Any
+  let resolved = false
+
+  const ready = Promise.resolve().then(() => fn()).then((res) => {
+    pattern = createRule(res)
+    rule.pattern = pattern
+    resolved = true
+  })
 
   const rule = new Rule({
     name: 'asynch',
     pattern,
-    use: () => pattern,
-  })
-
-  Promise.resolve().then(() => fn()).then((res) => {
-    pattern = createRule(res)
-    rule.pattern = pattern
+    use: () => {
+      // in async validation, wait for the pattern
+      if (!resolved) {
+        waitAsync(ready)
+      }
+      return pattern
+    },
   })
 
   return rule
@@ -178,6 +188,7 @@ export function ifnotmatch(pattern, callback) {
   const rule = new Rule({
     name: 'ifnotmatch',
     pattern,
+    callback,
     use: () => type,
     override(data, key) {
       data[key] = isFunction(callback) ? callback(data, key) : callback
@@ -196,6 +207,7 @@ export function ifmatch(pattern, callback) {
   const rule = new Rule({
     name: 'ifmatch',
     pattern,
+    callback,
     shouldcheck(data, key) {
       return key in data
     },
@@ -274,7 +286,7 @@ export function shouldnotexist(determine, pattern) {
 
 /**
  * Whether the value is an instance of given class
- * @param {Constructor} Cons should be a class constructor
+ * @param {Constructor} Cons should be a class constructor, or a Brand which requires the value to be tagged by it
  */
 export function instance(pattern) {
   const rule = new Rule({
@@ -282,7 +294,9 @@ export function instance(pattern) {
     pattern,
     validate(data, key) {
       const value = data[key]
-      return isInstanceOf(value, pattern, true) ? null
+      // brand requires the value to be tagged by it
+      const passed = isInstanceOf(pattern, Brand) ? pattern.is(value) : isInstanceOf(value, pattern, true)
+      return passed ? null
         : new TyError({ type: 'exception', value, pattern, name: 'instance' })
     },
   })
@@ -323,31 +337,58 @@ export function nullable(pattern) {
   return rule
 }
 
+/**
+ * If the value does not exist, the default value will be used by `type.parse`,
+ * if exists, use pattern to validate.
+ * @param {Pattern} pattern
+ * @param {Function|Any} value default value, or a function to return a new default value
+ */
+export function withDefault(pattern, value) {
+  const type = createRule(pattern)
+  const rule = new Rule({
+    name: 'withDefault',
+    pattern,
+    value,
+    shouldcheck(data, key) {
+      return key in data
+    },
+    use: () => type,
+  })
+  return rule
+}
+
+/**
+ * The rest items of a Tuple should match the pattern, it should be the last item of Tuple
+ * @param {Pattern} pattern
+ */
+export function rest(pattern) {
+  const type = createRule(pattern)
+  const rule = new Rule({
+    name: 'rest',
+    pattern,
+    use: () => type,
+  })
+  return rule
+}
+
 /**
  * Wether the value is a function
  * @param {Tuple} InputType
  * @param {Any} OutputType
  */
 export function lambda(InputType, OutputType) {
-  if (isArray(InputType)) {
-    InputType = new Tuple(InputType)
-  }
-  if (!isInstanceOf(InputType, Tuple)) {
-    throw new Error('lambda InputType should be a Tuple')
-  }
-  if (!isInstanceOf(OutputType, Type)) {
-    OutputType = create(OutputType)
-  }
+  [InputType, OutputType] = createLambdaTypes('lambda', InputType, OutputType)
 
   const rule = new Rule({
     name: 'lambda',
     pattern: [InputType, OutputType],
     use: () => Function,
     decorate(data, key) {
+      const origin = data[key]
       const o = {
         [key]: function(...args) {
           InputType.assert(args)
-          const result = data[key].apply(this, args)
+          const result = origin.apply(this, args)
           OutputType.assert(result)
           return result
         },
@@ -358,3 +399,100 @@ export function lambda(InputType, OutputType) {
   })
   return rule
 }
+
+/**
+ * The property should be an async function with given parameters type and resolved value type,
+ * the function is wrapped to return a promise which is rejected when the parameters or the resolved value does not match
+ * @param {Tuple|Array} InputType
+ * @param {*} OutputType pattern of the resolved value
+ */
+export function asyncLambda(InputType, OutputType) {
+  [InputType, OutputType] = createLambdaTypes('asyncLambda', InputType, OutputType)
+
+  // functions wrapped by this rule, so that they are not wrapped again when validating the data again
+  const wrapped = new WeakSet()
+
+  const rule = new Rule({
+    name: 'asyncLambda',
+    pattern: [InputType, OutputType],
+    use: () => Function,
+    decorate(data, key) {
+      const origin = data[key]
+      if (wrapped.has(origin)) {
+        return
+      }
+
+      const o = {
+        [key]: function(...args) {
+          return new Promise((resolve) => {
+            const error = InputType.catch(args)
+            if (error) {
+              throw new TyError({ error, key })
+            }
+            resolve(origin.apply(this, args))
+          }).then((result) => {
+            const error = OutputType.catch(result)
+            if (error) {
+              throw new TyError({ error, key })
+            }
+            return result
+          })
+        },
+      }
+      const fn = o[key]
+      wrapped.add(fn)
+      data[key] = fn
+    },
+  })
+  return rule
+}
+
+function createLambdaTypes(name, InputType, OutputType) {
+  if (isArray(InputType)) {
+    InputType = new Tuple(InputType)
+  }
+  if (!isInstanceOf(InputType, Tuple)) {
+    throw new Error(name + ' InputType should be a Tuple')
+  }
+  if (!isInstanceOf(OutputType, Type)) {
+    OutputType = create(OutputType)
+  }
+  return [InputType, OutputType]
+}
+
+/**
+ * The property should be a promise, it is replaced by a promise which is rejected with a TyError when the resolved value does not match the pattern
+ * @param {*} pattern pattern of the resolved value
+ */
+export function promise(pattern) {
+  const type = isInstanceOf(pattern, Type) ? pattern : create(pattern)
+
+  // promises created by this rule, so that they are not replaced again when validating the data again
+  const wrapped = new WeakSet()
+
+  const rule = new Rule({
+    name: 'promise',
+    pattern,
+    validate(data, key) {
+      const value = data[key]
+      return isInstanceOf(value, Promise) ? null
+        : new TyError({ type: 'exception', value, pattern, name: 'promise' })
+    },
+    decorate(data, key) {
+      if (wrapped.has(data[key])) {
+        return
+      }
+
+      const output = data[key].then((value) => {
+        const error = type.catch(value)
+        if (error) {
+          throw new TyError({ error, key })
+        }
+        return value
+      })
+      wrapped.add(output)
+      data[key] = output
+    },
+  })
+  return rule
+}
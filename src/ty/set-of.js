@@ -0,0 +1,142 @@
+import {
+  isArray,
+  isInstanceOf,
+} from 'ts-fns'
+
+import Type from './type.js'
+import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeUnsupportedJSONSchema,
+} from './json-schema.js'
+import { coerceValue } from './coerce.js'
+import { cleanValue } from './clean.js'
+import { fillValue } from './defaults.js'
+import { mockSetOf } from './mock.js'
+import { createError, compileItem } from './compile.js'
+import { makeDefinition } from './definition.js'
+
+export class SetOf extends Type {
+  /**
+   * @param {*} pattern pattern of each item
+   */
+  constructor(pattern) {
+    super(pattern)
+    this.name = 'SetOf'
+  }
+
+  catch(value) {
+    const pattern = this.pattern
+    const tyerr = new TyError()
+
+    if (!isInstanceOf(value, Set)) {
+      tyerr.replace({ type: 'exception', value, name: this.name, pattern })
+    }
+    else {
+      // set has no key, use the index in order of insertion
+      let index = 0
+      value.forEach((item) => {
+        const error = this._catchItem(item)
+        if (error) {
+          tyerr.add({ error, index })
+        }
+        index ++
+      })
+    }
+
+    tyerr.commit()
+    return tyerr.error()
+  }
+
+  _catchItem(value) {
+    const pattern = this.pattern
+    if (isInstanceOf(pattern, Type)) {
+      const type = this.isStrict && !pattern.isStrict ? pattern.strict : pattern
+      return type.catch(value)
+    }
+    return this.validate(value, pattern)
+  }
+
+  _compile() {
+    const pattern = this.pattern
+    const validate = compileItem(this, pattern)
+
+    return (value) => {
+      if (!isInstanceOf(value, Set)) {
+        return createError({ type: 'exception', value, name: this.name, pattern })
+      }
+
+      let tyerr = null
+      let index = 0
+      value.forEach((item) => {
+        const error = validate(item)
+        if (error) {
+          tyerr = tyerr || new TyError()
+          tyerr.add({ error, index })
+        }
+        index ++
+      })
+
+      if (!tyerr) {
+        return null
+      }
+
+      tyerr.commit()
+      return tyerr.error()
+    }
+  }
+
+  // array will be converted to Set
+  _coerce(value) {
+    if (!isInstanceOf(value, Set) && !isArray(value)) {
+      return value
+    }
+    return new Set(Array.from(value).map(item => coerceValue(item, this.pattern)))
+  }
+
+  _clean(value, context) {
+    if (!isInstanceOf(value, Set)) {
+      return value
+    }
+    const output = new Set()
+    let index = 0
+    value.forEach((item) => {
+      output.add(cleanValue(item, this.pattern, { ...context, keyPath: [...context.keyPath, index] }))
+      index ++
+    })
+    return output
+  }
+
+  _defaults() {
+    return undefined
+  }
+
+  _fill(value) {
+    if (!isInstanceOf(value, Set)) {
+      return value
+    }
+    return new Set(Array.from(value).map(item => fillValue(item, this.pattern)))
+  }
+
+  _mock(context) {
+    return mockSetOf(this.pattern, context)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const schema = makeUnsupportedJSONSchema(ctx, this, 'Set can not be expressed')
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    return { type: 'SetOf', pattern: makeDefinition(this.pattern, context) }
+  }
+}
+
+export function setOf(pattern) {
+  const type = new SetOf(pattern)
+  return type
+}
+
+export default SetOf
@@ -0,0 +1,647 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isString,
+  isNumber,
+  isUndefined,
+  isConstructor,
+  inObject,
+  getConstructorOf,
+  makeKeyPath,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import TyError from './ty-error.js'
+import Dict from './dict.js'
+import List from './list.js'
+import Tuple, { parseTuple } from './tuple.js'
+import Enum from './enum.js'
+import Range from './range.js'
+import Mapping from './mapping.js'
+import MapOf from './map-of.js'
+import SetOf from './set-of.js'
+import Lazy from './lazy.js'
+import Brand from './brand.js'
+import Generic from './generic.js'
+import {
+  Null,
+  Undefined,
+  None,
+  Any,
+  Numeric,
+  Int,
+  Float,
+  Negative,
+  Positive,
+  Finity,
+  Zero,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  HexColor,
+  Semver,
+  Phone,
+  TypedArray,
+} from './prototypes.js'
+
+// each prototype is a subtype of its parents
+const parents = [
+  [Int, [Finity]],
+  [Float, [Number]],
+  [Negative, [Number]],
+  [Positive, [Number]],
+  [Finity, [Number]],
+  [Natural, [Int]],
+  [Zero, [Natural]],
+  [Null, [None]],
+  [Undefined, [None]],
+  [String8, [String16]],
+  [String16, [String32]],
+  [String32, [String64]],
+  [String64, [String128]],
+  [String128, [String]],
+  ...[Numeric, Email, Url, Uuid, IsoDate, IsoDateTime, Ipv4, Ipv6, HexColor, Semver, Phone].map(proto => [proto, [String]]),
+  ...[Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array].map(proto => [proto, [TypedArray]]),
+]
+
+// numbers in interval, [min, max, minBound, maxBound, integer],
+// Number contains Infinity and -Infinity, Finity and integers do not
+const intervals = [
+  [Number, [-Infinity, Infinity, true, true, false]],
+  [Finity, [-Infinity, Infinity, false, false, false]],
+  [Int, [-Infinity, Infinity, false, false, true]],
+  [Natural, [0, Infinity, true, false, true]],
+  [Zero, [0, 0, true, true, true]],
+  [Positive, [0, Infinity, false, true, false]],
+  [Negative, [-Infinity, 0, true, false, false]],
+]
+
+// prototypes which have only one value
+const singletons = [
+  [Null, null],
+  [Undefined, undefined],
+  [Zero, 0],
+]
+
+const messages = {
+  mismatch: '{keyPath} `{sub}` is not a subtype of `{sup}`.',
+  missing: '{keyPath} is required by `{sup}`, but not defined in `{sub}`.',
+  optional: '{keyPath} is required by `{sup}`, but optional in `{sub}`.',
+  overflow: '{keyPath} is not allowed by `{sup}`.',
+  loose: '{keyPath} `{sub}` allows more properties or items than `{sup}`.',
+  constraint: '{keyPath} `{sub}` does not keep the constraint `{name}` of `{sup}`.',
+  unknown: '{keyPath} `{sub}` can not be compared with `{sup}`.',
+}
+
+/**
+ * check whether all values of type A are values of type B, without sample data,
+ * patterns which can not be analysed (i.e. custom rules) are compatible only when they are the same one
+ * @param {*} sub type A, i.e. the type of producer
+ * @param {*} sup type B, i.e. the type of consumer
+ * @returns {object} { passed, issues, message }, each issue is { type, keyPath, sub, sup, message }
+ * @example
+ * const { passed, message } = Ty.isSubtype(new Dict({ age: Natural }), new Dict({ age: Int }))
+ */
+export function isSubtype(sub, sup) {
+  const context = {
+    keyPath: [],
+    subStrict: false,
+    supStrict: false,
+    pairs: [],
+    issues: [],
+  }
+  compare(sub, sup, context)
+
+  const { issues } = context
+  return {
+    passed: !issues.length,
+    issues,
+    message: issues.map(item => item.message).join('\n'),
+  }
+}
+
+function compare(sub, sup, context) {
+  const { subStrict, supStrict, pairs } = context
+
+  if (sub === sup && (subStrict || !supStrict)) {
+    return
+  }
+
+  if (sup === Any) {
+    return
+  }
+
+  // recursive types, the pair is being compared, suppose it is compatible
+  if (pairs.some(([a, b]) => a === sub && b === sup)) {
+    return
+  }
+
+  pairs.push([sub, sup])
+  try {
+    if (isInstanceOf(sub, Lazy)) {
+      compare(sub.resolve(), sup, { ...context, subStrict: subStrict || sub.isStrict })
+    }
+    else if (isInstanceOf(sup, Lazy)) {
+      compare(sub, sup.resolve(), { ...context, supStrict: supStrict || sup.isStrict })
+    }
+    else {
+      compareNodes(parse(sub, subStrict), parse(sup, supStrict), context)
+    }
+  }
+  finally {
+    pairs.pop()
+  }
+}
+
+// whether sub is subtype of sup, no issues will be reported
+function test(sub, sup, context) {
+  const subContext = { ...context, issues: [] }
+  compare(sub, sup, subContext)
+  return !subContext.issues.length
+}
+
+function compareNodes(a, b, context) {
+  // each branch should be subtype
+  if (a.kind === 'enum') {
+    a.branches.forEach((branch) => {
+      compare(branch, b.pattern, { ...context, subStrict: a.strict, supStrict: b.strict })
+    })
+    return
+  }
+
+  if (b.kind === 'enum') {
+    if (!b.branches.some(branch => test(a.pattern, branch, { ...context, subStrict: a.strict, supStrict: b.strict }))) {
+      report('mismatch', a, b, context)
+    }
+    return
+  }
+
+  // nominal, only the same brand is compatible
+  if (b.kind === 'brand') {
+    if (a.kind !== 'brand' || a.brand._values !== b.brand._values) {
+      report('mismatch', a, b, context)
+    }
+    return
+  }
+
+  if (a.kind === 'brand') {
+    compare(a.brand.pattern, b.pattern, { ...context, subStrict: a.strict, supStrict: b.strict })
+    return
+  }
+
+  if (a.kind === 'unknown' || b.kind === 'unknown') {
+    report('unknown', a, b, context)
+    return
+  }
+
+  if (a.kind === 'value') {
+    const type = isInstanceOf(b.pattern, Type) ? b.pattern : new Type(b.pattern)
+    const target = b.strict && !type.isStrict ? type.strict : type
+    if (!target.test(a.value)) {
+      report('mismatch', a, b, context)
+    }
+    return
+  }
+
+  const comparers = {
+    proto: compareProto,
+    value: compareValue,
+    range: compareRange,
+    dict: compareDict,
+    list: compareList,
+    tuple: compareTuple,
+    mapping: compareEntries,
+    mapOf: compareEntries,
+    setOf: compareSet,
+  }
+  const passed = comparers[b.kind](a, b, context)
+  if (!passed) {
+    report('mismatch', a, b, context)
+  }
+}
+
+function compareProto(a, b) {
+  const { proto } = b
+
+  if (a.kind === 'proto') {
+    return isProtoSubtype(a.proto, proto)
+  }
+
+  if (a.kind === 'range') {
+    const interval = getProtoInterval(proto)
+    return a.rangeKind === 'number' && !!interval && !interval[4] && isInInterval(getRangeInterval(a), interval)
+  }
+
+  const natives = {
+    dict: Object,
+    mapping: Object,
+    list: Array,
+    tuple: Array,
+    mapOf: Map,
+    setOf: Set,
+  }
+  return natives[a.kind] === proto
+}
+
+function compareValue(a, b) {
+  if (a.kind !== 'proto') {
+    return false
+  }
+  const item = singletons.find(item => item[0] === a.proto)
+  return !!item && item[1] === b.value
+}
+
+function compareRange(a, b) {
+  if (a.kind === 'range') {
+    return a.rangeKind === b.rangeKind && isInInterval(getRangeInterval(a), getRangeInterval(b))
+  }
+
+  if (a.kind === 'proto' && b.rangeKind === 'number') {
+    const interval = getProtoInterval(a.proto)
+    return !!interval && isInInterval(interval, getRangeInterval(b))
+  }
+
+  return false
+}
+
+function compareDict(a, b, context) {
+  if (a.kind !== 'dict') {
+    return false
+  }
+
+  const { keyPath } = context
+  const subFields = a.fields
+  const supFields = b.fields
+
+  Object.keys(supFields).forEach((key) => {
+    const supField = getField(supFields[key])
+    const subContext = { ...context, keyPath: [...keyPath, key], subStrict: a.strict, supStrict: b.strict }
+
+    if (!inObject(key, subFields)) {
+      if (!supField.optional) {
+        report('missing', a, b, subContext)
+      }
+      return
+    }
+
+    const subField = getField(subFields[key])
+    if (subField.optional && !supField.optional) {
+      report('optional', a, b, subContext)
+    }
+    compare(subField.pattern, supField.pattern, subContext)
+  })
+
+  // in strict mode, no more keys
+  if (b.strict) {
+    if (!a.strict) {
+      report('loose', a, b, context)
+    }
+    Object.keys(subFields).forEach((key) => {
+      if (!inObject(key, supFields)) {
+        report('overflow', a, b, { ...context, keyPath: [...keyPath, key] })
+      }
+    })
+  }
+
+  return true
+}
+
+function compareList(a, b, context) {
+  const subContext = { ...context, keyPath: [...context.keyPath, '[]'], subStrict: a.strict, supStrict: b.strict }
+  const supItems = b.items
+
+  // items of sub should be one of sup items
+  const compareItem = (pattern) => {
+    if (!supItems.length) {
+      return
+    }
+    if (supItems.length === 1) {
+      compare(pattern, supItems[0], subContext)
+      return
+    }
+    if (!supItems.some(item => test(pattern, item, subContext))) {
+      report('mismatch', { pattern }, { pattern: supItems.length > 1 ? new Enum(supItems) : supItems[0] }, subContext)
+    }
+  }
+
+  let min = 0
+  let max = Infinity
+  if (a.kind === 'list') {
+    // empty means any items
+    if (!a.items.length && supItems.length) {
+      return false
+    }
+    a.items.forEach(compareItem)
+    const { min: subMin = 0, max: subMax = Infinity } = a.options
+    min = subMin
+    max = subMax
+  }
+  else if (a.kind === 'tuple') {
+    const { patterns, rest } = a
+    patterns.forEach(pattern => compareItem(getField(pattern).pattern))
+    if (rest) {
+      compareItem(rest.pattern)
+    }
+    else if (!a.strict && supItems.length) {
+      report('loose', a, b, context)
+    }
+    min = patterns.filter(pattern => !getField(pattern).optional).length
+    max = rest || !a.strict ? Infinity : patterns.length
+  }
+  else {
+    return false
+  }
+
+  // constraints of sup should be kept
+  const { min: supMin, max: supMax, unique, sorted } = b.options
+  const subOptions = a.kind === 'list' ? a.options : {}
+  if (!isUndefined(supMin) && min < supMin) {
+    report('constraint', a, b, { ...context, name: 'min' })
+  }
+  if (!isUndefined(supMax) && max > supMax) {
+    report('constraint', a, b, { ...context, name: 'max' })
+  }
+  if (unique && subOptions.unique !== unique && max > 1) {
+    report('constraint', a, b, { ...context, name: 'unique' })
+  }
+  if (sorted && subOptions.sorted !== sorted && max > 1) {
+    report('constraint', a, b, { ...context, name: 'sorted' })
+  }
+
+  return true
+}
+
+function compareTuple(a, b, context) {
+  if (a.kind !== 'tuple') {
+    return false
+  }
+
+  const { keyPath } = context
+  const subCount = a.patterns.length
+  const supCount = b.patterns.length
+  const count = Math.max(subCount, supCount)
+  const getItem = (node, i) => i < node.patterns.length ? getField(node.patterns[i]) : node.rest ? { pattern: node.rest.pattern, optional: true } : null
+
+  // non-strict tuple allows any items after its positions
+  const isLoose = !a.rest && !a.strict && (!!b.rest || b.strict)
+  if (isLoose) {
+    report('loose', a, b, context)
+  }
+
+  for (let i = 0; i < count; i ++) {
+    const subContext = { ...context, keyPath: [...keyPath, i], subStrict: a.strict, supStrict: b.strict }
+    const subItem = getItem(a, i)
+    const supItem = getItem(b, i)
+
+    if (!subItem) {
+      if (!supItem.optional) {
+        report('missing', a, b, subContext)
+      }
+      continue
+    }
+
+    if (!supItem) {
+      if (b.strict) {
+        report('overflow', a, b, subContext)
+      }
+      continue
+    }
+
+    if (subItem.optional && !supItem.optional) {
+      report('optional', a, b, subContext)
+    }
+    compare(subItem.pattern, supItem.pattern, subContext)
+  }
+
+  // rest items of sub after all positions
+  if (a.rest) {
+    const subContext = { ...context, keyPath: [...keyPath, '*'], subStrict: a.strict, supStrict: b.strict }
+    if (b.rest) {
+      compare(a.rest.pattern, b.rest.pattern, subContext)
+    }
+    else if (b.strict) {
+      report('overflow', a, b, subContext)
+    }
+  }
+
+  return true
+}
+
+// Mapping and MapOf
+function compareEntries(a, b, context) {
+  if (a.kind !== b.kind) {
+    return false
+  }
+
+  const subContext = { ...context, subStrict: a.strict, supStrict: b.strict }
+  compare(a.key, b.key, { ...subContext, keyPath: [...context.keyPath, '{key}'] })
+  compare(a.value, b.value, { ...subContext, keyPath: [...context.keyPath, '*'] })
+  return true
+}
+
+function compareSet(a, b, context) {
+  if (a.kind !== 'setOf') {
+    return false
+  }
+
+  compare(a.item, b.item, { ...context, keyPath: [...context.keyPath, '*'], subStrict: a.strict, supStrict: b.strict })
+  return true
+}
+
+/**
+ * parse pattern into a node to compare, the original pattern is kept as `pattern`
+ * @param {*} pattern
+ * @param {boolean} strict whether the owner is in strict mode
+ */
+function parse(pattern, strict) {
+  const origin = { pattern, strict }
+
+  if (isInstanceOf(pattern, Type)) {
+    const isStrict = strict || pattern.isStrict
+    const node = { ...origin, strict: isStrict }
+    const { pattern: inner } = pattern
+
+    if (isInstanceOf(pattern, Dict)) {
+      return { ...node, kind: 'dict', fields: inner }
+    }
+    if (isInstanceOf(pattern, List)) {
+      return { ...node, kind: 'list', items: inner, options: pattern.options }
+    }
+    if (isInstanceOf(pattern, Tuple)) {
+      return { ...node, kind: 'tuple', ...parseTuple(inner) }
+    }
+    if (isInstanceOf(pattern, Enum)) {
+      return { ...node, kind: 'enum', branches: inner }
+    }
+    if (isInstanceOf(pattern, Range)) {
+      return { ...node, kind: 'range', range: inner, rangeKind: pattern.kind }
+    }
+    if (isInstanceOf(pattern, Mapping)) {
+      return { ...node, kind: 'mapping', key: inner.key, value: inner.value }
+    }
+    if (isInstanceOf(pattern, MapOf)) {
+      return { ...node, kind: 'mapOf', key: inner.key, value: inner.value }
+    }
+    if (isInstanceOf(pattern, SetOf)) {
+      return { ...node, kind: 'setOf', item: inner }
+    }
+    // Type which wraps a pattern, brand only checks its pattern, generic wraps the instantiated type
+    if (getConstructorOf(pattern) === Type || isInstanceOf(pattern, Brand) || isInstanceOf(pattern, Generic)) {
+      return parse(inner, isStrict)
+    }
+    return { ...node, kind: 'unknown' }
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    if (pattern.name === 'nullable') {
+      return { ...origin, kind: 'enum', branches: [Null, pattern.pattern] }
+    }
+    if (pattern.name === 'ifexist' || pattern.name === 'withDefault') {
+      return { ...origin, kind: 'enum', branches: [Undefined, pattern.pattern] }
+    }
+    if (pattern.name === 'instance' && isInstanceOf(pattern.pattern, Brand)) {
+      return { ...origin, kind: 'brand', brand: pattern.pattern }
+    }
+    return { ...origin, kind: 'unknown' }
+  }
+
+  if (isArray(pattern)) {
+    return { ...origin, kind: 'list', items: pattern, options: {} }
+  }
+
+  if (isObject(pattern)) {
+    return { ...origin, kind: 'dict', fields: pattern }
+  }
+
+  if (Prototype.is(pattern).existing()) {
+    return { ...origin, kind: 'proto', proto: pattern }
+  }
+
+  return { ...origin, kind: 'value', value: pattern }
+}
+
+function getField(pattern) {
+  if (isInstanceOf(pattern, Rule) && (pattern.name === 'ifexist' || pattern.name === 'withDefault')) {
+    return { pattern: pattern.pattern, optional: true }
+  }
+  return { pattern, optional: false }
+}
+
+function isProtoSubtype(sub, sup, visited = []) {
+  if (sub === sup) {
+    return true
+  }
+
+  // RegExp with the same source
+  if (isInstanceOf(sub, RegExp)) {
+    return sup === String || (isInstanceOf(sup, RegExp) && sub.source === sup.source && sub.flags === sup.flags)
+  }
+
+  if (isInstanceOf(sub, Prototype) && sub.stringOf) {
+    return sup === String || isStringOfSubtype(sub.stringOf, sup)
+  }
+
+  // String8 is StringOf({ max: 8 })
+  const maxLength = [[String8, 8], [String16, 16], [String32, 32], [String64, 64], [String128, 128]].find(item => item[0] === sub)
+  if (maxLength && isInstanceOf(sup, Prototype) && sup.stringOf && isStringOfSubtype({ max: maxLength[1] }, sup)) {
+    return true
+  }
+
+  // custom classes
+  if (isConstructor(sub) && isConstructor(sup) && !Prototype.find(sub) && sub.prototype instanceof sup) {
+    return true
+  }
+
+  if (visited.indexOf(sub) > -1) {
+    return false
+  }
+
+  const item = parents.find(item => item[0] === sub)
+  return !!item && item[1].some(parent => isProtoSubtype(parent, sup, [...visited, sub]))
+}
+
+function isStringOfSubtype(sub, sup) {
+  if (!isInstanceOf(sup, Prototype) || !sup.stringOf) {
+    return false
+  }
+
+  const { min = 0, max = Infinity, pattern } = sub
+  const { min: supMin = 0, max: supMax = Infinity, pattern: supPattern } = sup.stringOf
+  return min >= supMin && max <= supMax && (!supPattern || (!!pattern && pattern.source === supPattern.source && pattern.flags === supPattern.flags))
+}
+
+function getProtoInterval(proto) {
+  const item = intervals.find(item => item[0] === proto)
+  return item ? item[1] : null
+}
+
+function getRangeInterval(node) {
+  const { min, max, minBound = true, maxBound = true } = node.range
+  const toBound = bound => isInstanceOf(bound, Date) ? bound.getTime() : isString(bound) ? Date.parse(bound) : bound
+  return [toBound(min), toBound(max), minBound, maxBound, false]
+}
+
+// whether interval a is in interval b
+function isInInterval(a, b) {
+  const [min, max, minBound, maxBound, integer] = a
+  const [supMin, supMax, supMinBound, supMaxBound, supInteger] = b
+
+  if (supInteger && !integer) {
+    return false
+  }
+
+  const isMinIn = min > supMin || (min === supMin && (supMinBound || !minBound))
+  const isMaxIn = max < supMax || (max === supMax && (supMaxBound || !maxBound))
+  return isMinIn && isMaxIn
+}
+
+function report(type, a, b, context) {
+  const { keyPath, issues, name } = context
+  const sub = getName(a.pattern)
+  const sup = getName(b.pattern)
+  const params = {
+    keyPath: TyError.keyPathPrefix + makeKeyPath(keyPath),
+    sub,
+    sup,
+    name,
+  }
+  const message = messages[type].replace(/\{(.*?)\}/g, (match, key) => params[key])
+  issues.push({ type, keyPath: [...keyPath], sub: a.pattern, sup: b.pattern, message })
+}
+
+function getName(pattern) {
+  if (isInstanceOf(pattern, Rule) || isInstanceOf(pattern, Type) || isInstanceOf(pattern, Prototype)) {
+    return pattern.name
+  }
+  if (isArray(pattern)) {
+    return pattern.length === 1 ? getName(pattern[0]) + '[]' : '(' + pattern.map(getName).join(' | ') + ')[]'
+  }
+  if (isObject(pattern)) {
+    return 'Object'
+  }
+  if (typeof pattern === 'function') {
+    return pattern.name || 'Function'
+  }
+  if (isString(pattern)) {
+    return JSON.stringify(pattern)
+  }
+  if (isNumber(pattern) || isUndefined(pattern)) {
+    return String(pattern)
+  }
+  return String(pattern)
+}
+
+export default isSubtype
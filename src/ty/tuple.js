@@ -2,11 +2,24 @@ import {
   isInstanceOf,
   isArray,
   inObject,
+  clone,
 } from 'ts-fns'
 
 import Type from './type.js'
 import Rule from './rule.js'
 import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeJSONSchema,
+  makePropertyJSONSchema,
+} from './json-schema.js'
+import { coerceValue } from './coerce.js'
+import { cleanValue } from './clean.js'
+import { fillValue, isWithDefault, getDefaultValue } from './defaults.js'
+import { mockTuple } from './mock.js'
+import { compileItem } from './compile.js'
+import { makeDefinition } from './definition.js'
 
 export class Tuple extends Type {
   constructor(pattern) {
@@ -14,6 +27,10 @@ export class Tuple extends Type {
       throw new Error('[Tuple]: pattern should be an array.')
     }
 
+    if (pattern.some((item, i) => isRest(item) && i !== pattern.length - 1)) {
+      throw new Error('[Tuple]: rest should be the last item.')
+    }
+
     super(pattern)
     this.name = 'Tuple'
   }
@@ -22,18 +39,18 @@ export class Tuple extends Type {
     const tyerr = new TyError()
 
     const items = value
-    const patterns = pattern
+    const { patterns, rest } = parseTuple(pattern)
 
     if (!isArray(value)) {
       tyerr.replace({ type: 'exception', value, name: this.name, pattern })
     }
-    else if (this.isStrict && items.length != patterns.length) {
+    else if (this.isStrict && isFixedLength(patterns, rest) && items.length !== patterns.length) {
       tyerr.replace({ type: 'dirty', value, name: this.name, pattern })
     }
     else {
       for (let i = 0, len = patterns.length; i < len; i ++) {
         const value = items[i]
-        const pattern = patterns[i]
+        let pattern = patterns[i]
         const index = i
 
         const isRule = isInstanceOf(pattern, Rule)
@@ -73,12 +90,234 @@ export class Tuple extends Type {
           }
         }
       }
+
+      // rest items
+      if (rest) {
+        const rule = this.isStrict && !rest.isStrict ? rest.strict : rest
+        for (let i = patterns.length, len = items.length; i < len; i ++) {
+          const error = rule.catch(items, i)
+          if (error) {
+            tyerr.add({ error, index: i })
+          }
+        }
+      }
+      // in strict mode, no more items than defined
+      else if (this.isStrict) {
+        for (let i = patterns.length, len = items.length; i < len; i ++) {
+          tyerr.add({ type: 'overflow', index: i })
+        }
+      }
     }
 
     tyerr.commit()
 
     return tyerr.count ? tyerr : null
   }
+
+  _compile() {
+    const { patterns, rest } = parseTuple(this.pattern)
+    const count = patterns.length
+    const items = patterns.map((pattern) => {
+      if (isInstanceOf(pattern, Rule)) {
+        const rule = this.isStrict && !pattern.isStrict ? pattern.strict : pattern
+        return { rule }
+      }
+      return { validate: compileItem(this, pattern) }
+    })
+    const restRule = rest && this.isStrict && !rest.isStrict ? rest.strict : rest
+    const isDirty = value => this.isStrict && isFixedLength(patterns, rest) && value.length !== count
+
+    return (value) => {
+      let tyerr = null
+      const add = (resource) => {
+        tyerr = tyerr || new TyError()
+        tyerr.add(resource)
+      }
+
+      if (!isArray(value)) {
+        add({ type: 'exception', value, name: this.name, pattern: this.pattern })
+      }
+      else if (isDirty(value)) {
+        add({ type: 'dirty', value, name: this.name, pattern: this.pattern })
+      }
+      else {
+        for (let index = 0; index < count; index ++) {
+          const { rule, validate } = items[index]
+          if (rule) {
+            const error = rule.catch(value, index)
+            if (!error) {
+              continue
+            }
+
+            // after validate, the property may create by rule
+            if (!inObject(index, value)) {
+              add({ type: 'missing', index })
+            }
+            else {
+              add({ error, index })
+            }
+          }
+          else if (!inObject(index, value)) {
+            add({ type: 'missing', index })
+          }
+          else {
+            const error = validate(value[index])
+            if (error) {
+              add({ error, index })
+            }
+          }
+        }
+
+        if (restRule) {
+          for (let index = count, len = value.length; index < len; index ++) {
+            const error = restRule.catch(value, index)
+            if (error) {
+              add({ error, index })
+            }
+          }
+        }
+        else if (this.isStrict) {
+          for (let index = count, len = value.length; index < len; index ++) {
+            add({ type: 'overflow', index })
+          }
+        }
+      }
+
+      if (!tyerr) {
+        return null
+      }
+
+      tyerr.commit()
+      return tyerr
+    }
+  }
+
+  _coerce(value) {
+    if (!isArray(value)) {
+      return value
+    }
+    const { patterns, rest } = parseTuple(this.pattern)
+    return value.map((item, i) => i < patterns.length ? coerceValue(item, patterns[i]) : rest ? coerceValue(item, rest.pattern) : item)
+  }
+
+  _clean(value, context) {
+    if (!isArray(value)) {
+      return clone(value)
+    }
+
+    const { patterns, rest } = parseTuple(this.pattern)
+    const output = []
+    value.forEach((item, i) => {
+      const subContext = { ...context, keyPath: [...context.keyPath, i] }
+      if (i < patterns.length) {
+        output.push(cleanValue(item, patterns[i], subContext))
+      }
+      else if (rest) {
+        output.push(cleanValue(item, rest.pattern, subContext))
+      }
+      // no more items than defined
+      else {
+        context.removed.push(subContext.keyPath)
+      }
+    })
+    return output
+  }
+
+  _fill(value) {
+    if (!isArray(value)) {
+      return value
+    }
+
+    const { patterns, rest } = parseTuple(this.pattern)
+    const output = value.map((item, i) => i < patterns.length ? fillValue(item, patterns[i]) : rest ? fillValue(item, rest.pattern) : item)
+    // fill the missing items at the end
+    for (let i = output.length, len = patterns.length; i < len; i ++) {
+      if (!isWithDefault(patterns[i])) {
+        break
+      }
+      output.push(getDefaultValue(patterns[i]))
+    }
+    return output
+  }
+
+  _mock(context) {
+    return mockTuple(this.pattern, context)
+  }
+
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const { patterns, rest } = parseTuple(this.pattern)
+    const items = []
+
+    let minItems = 0
+    patterns.forEach((pattern, i) => {
+      const subContext = { ...ctx, keyPath: [...ctx.keyPath, i] }
+      const { schema, optional } = makePropertyJSONSchema(pattern, subContext)
+      items.push(schema)
+      if (!optional) {
+        minItems = i + 1
+      }
+    })
+
+    // no more items than defined in strict mode
+    const additional = rest ? makeJSONSchema(rest.pattern, { ...ctx, keyPath: [...ctx.keyPath, '*'] }) : ctx.isStrict ? false : undefined
+
+    const schema = { type: 'array' }
+    if (ctx.draft === '2020-12') {
+      schema.prefixItems = items
+      if (additional !== undefined) {
+        schema.items = additional
+      }
+    }
+    else {
+      schema.items = items
+      if (additional !== undefined) {
+        schema.additionalItems = additional
+      }
+    }
+
+    schema.minItems = minItems
+    if (additional === false) {
+      schema.maxItems = patterns.length
+    }
+
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  _toDefinition(context) {
+    return { type: 'Tuple', pattern: this.pattern.map(item => makeDefinition(item, context)) }
+  }
+}
+
+/**
+ * whether the pattern is a `rest` rule
+ * @param {*} pattern
+ */
+export function isRest(pattern) {
+  return isInstanceOf(pattern, Rule) && pattern.name === 'rest'
+}
+
+/**
+ * whether the length of the tuple is fixed, i.e. no rest or optional items,
+ * a strict tuple with fixed length reports `dirty` when the length does not match
+ * @param {array} patterns
+ * @param {Rule} rest
+ */
+function isFixedLength(patterns, rest) {
+  return !rest && !patterns.some(pattern => isInstanceOf(pattern, Rule) && (pattern.name === 'ifexist' || isWithDefault(pattern)))
+}
+
+/**
+ * split rest rule from patterns of Tuple
+ * @param {array} pattern
+ * @returns {object} { patterns, rest }
+ */
+export function parseTuple(pattern) {
+  const last = pattern[pattern.length - 1]
+  if (isRest(last)) {
+    return { patterns: pattern.slice(0, -1), rest: last }
+  }
+  return { patterns: pattern, rest: null }
 }
 
 export function tuple(pattern) {
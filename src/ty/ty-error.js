@@ -14,6 +14,8 @@ import {
   isNull,
 } from 'ts-fns'
 
+import { describe, describeNode } from './describe.js'
+
 export class TyError extends TypeError {
   constructor(resource) {
     super()
@@ -96,16 +98,17 @@ export class TyError extends TypeError {
     const bands = { ...TyError.defaultMessages, ...templates }
 
     const messages = traces.map((trace, i) => {
-      const { type, keyPath, value, name, pattern } = trace
+      const { type, keyPath, value, name, pattern, ...others } = trace
       const info = name && !isUndefined(pattern) ? [name, pattern] : name ? [name] : pattern ? [pattern] : []
       const keys = isArray(keyPath) ? [...keyPath] : makeKeyChain(keyPath)
       const key = keys.pop()
 
       const params = {
+        ...others,
         i: i + 1,
         key,
         keyPath: keyPathPrefix + makeKeyPath(keyPath),
-        should: info.length ? makeErrorShould(info, breakline) : '',
+        should: info.length ? makeErrorShould(info, breakline, type) : '',
         receive: inObject('value', trace) ? makeErrorReceive(value, breakline, 0, sensitive) : '',
       }
 
@@ -128,6 +131,11 @@ export class TyError extends TypeError {
     missing: '{keyPath} is missing.',
     illegal: 'key `{key}` at {keyPath} should match `{should}`',
     notin: '{keyPath} recieve `{receive}` did not match `{should}` in enum.',
+    unknown: '{keyPath} receive unknown tag `{receive}`, should be one of `{should}`.',
+    tooShort: '{keyPath} length should be at least {min}, but receive {length}.',
+    tooLong: '{keyPath} length should be at most {max}, but receive {length}.',
+    duplicate: '{keyPath} should be unique, but items at {indexes} are duplicate.',
+    unsorted: '{keyPath} should be sorted, but items at {indexes} are out of order.',
   }
   static keyPathPrefix = '$.'
 }
@@ -150,11 +158,16 @@ function createSpace(count = 0) {
 
 function makeErrorMessage(type, params, templates) {
   const message = templates[type] || type
-  const text = message.replace(/\{(.*?)\}/g, (match, key) => inObject(key, params) ? params[key] : match)
+  const text = message.replace(/\{(.*?)\}/g, (match, key) => !inObject(key, params) ? match : isArray(params[key]) ? params[key].join(' and ') : params[key])
   return text
 }
 
-function makeValueString(value, sensitive = true, breakline = true, space = 2) {
+function makeValueString(value, sensitive = true, breakline = true, space = 2, parents = []) {
+  // recursive value, i.e. a tree node which refers to its parent
+  if (parents.indexOf(value) > -1) {
+    return '[Circular]'
+  }
+
   const totype = typeof value
   const britems = (items, start, end, space = 2) => {
     if (!breakline) {
@@ -173,13 +186,18 @@ function makeValueString(value, sensitive = true, breakline = true, space = 2) {
     str += '\n    ' + createSpace(space - 2) + end
     return str
   }
-  const stringify = (value, space = 2) => {
+  const stringify = (value, space = 2, chain = parents) => {
+    if (chain.indexOf(value) > -1) {
+      return '[Circular]'
+    }
+
+    const next = [...chain, value]
     if (isObject(value)) {
       let str = '{'
 
       if (!breakline) {
         each(value, (value, key) => {
-          str += key + ':' + stringify(value) + ','
+          str += key + ':' + stringify(value, 2, next) + ','
         })
         str = str.substr(0, str.length - 1)
         str += '}'
@@ -188,7 +206,7 @@ function makeValueString(value, sensitive = true, breakline = true, space = 2) {
 
       let spacestr = createSpace(space)
       each(value, (value, key) => {
-        str += '\n    ' + spacestr + key + ': ' + stringify(value, space + 2) + ','
+        str += '\n    ' + spacestr + key + ': ' + stringify(value, space + 2, next) + ','
       })
       str += '\n    ' + createSpace(space - 2) + '}'
       return str
@@ -198,7 +216,7 @@ function makeValueString(value, sensitive = true, breakline = true, space = 2) {
 
       if (!breakline) {
         value.forEach((item) => {
-          str += stringify(item)
+          str += stringify(item, 2, next)
         })
         str = str.substr(0, str.length - 1)
         str += ']'
@@ -207,13 +225,13 @@ function makeValueString(value, sensitive = true, breakline = true, space = 2) {
 
       let spacestr = createSpace(space)
       value.forEach((item) => {
-        str += '\n    ' + spacestr + stringify(item, space + 2) + ','
+        str += '\n    ' + spacestr + stringify(item, space + 2, next) + ','
       })
       str += '\n    ' + createSpace(space - 2) + ']'
       return str
     }
     else {
-      return makeValueString(value, sensitive, breakline, space)
+      return makeValueString(value, sensitive, breakline, space, chain)
     }
   }
 
@@ -226,11 +244,17 @@ function makeValueString(value, sensitive = true, breakline = true, space = 2) {
   else if (totype === 'string') {
     return JSON.stringify(sensitive ? '***' : value)
   }
+  else if (totype === 'bigint') {
+    return sensitive ? '***' : value + 'n'
+  }
+  else if (isInstanceOf(value, Date)) {
+    return sensitive ? '***' : isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()
+  }
   else if (isFunction(value)) {
     return value.name + '()'
   }
   else if (isArray(value)) {
-    const items = value.map(item => makeValueString(item, sensitive, breakline, space + 2))
+    const items = value.map(item => makeValueString(item, sensitive, breakline, space + 2, [...parents, value]))
     const output = britems(items, '[', ']', space)
     return output
   }
@@ -243,7 +267,7 @@ function makeValueString(value, sensitive = true, breakline = true, space = 2) {
     // type or rule
     if (inObject('pattern', value)) {
       const name = value.name
-      const output = makeValueString(value.pattern, sensitive, breakline, space)
+      const output = makeValueString(value.pattern, sensitive, breakline, space, [...parents, value])
       return isString(name) ? name + '(' + output + ')' : output
     }
     else {
@@ -264,18 +288,24 @@ function makeErrorReceive(value, breakline = true, space = 0, sensitive = false)
   return output
 }
 
-function makeErrorShould(info, breakline = true, space = 0) {
+function makeErrorShould(info, breakline = true, type) {
+  const options = { indent: breakline ? 2 : 0 }
+
   if (info.length === 0) {
     return '%unknown'
   }
 
+  // tags of Enum.by
+  if (type === 'unknown' && isArray(info[0])) {
+    return info[0].map(tag => describe(tag, options)).join(' | ')
+  }
+
   if (info.length === 1) {
-    return makeValueString(info[0], false, breakline, space)
+    return describe(info[0], options)
   }
 
   const [name, pattern] = info
-  const output = name + '(' + makeValueString(pattern, false, breakline, space) + ')'
-  return output
+  return describeNode(name, pattern, options)
 }
 
 function makeErrorTraces(tyerr, keyPath = []) {
@@ -313,6 +343,13 @@ function _makeErrorInnerTraces(resource, keyPath = [], traces = []) {
     return traces
   }
 
+  // constraints of List, keep the information for message
+  if (inArray(type, ['tooShort', 'tooLong', 'duplicate', 'unsorted'])) {
+    const { key, index, ...info } = resource
+    traces.push({ ...info, keyPath })
+    return traces
+  }
+
   if (type === 'notin' && isArray(errors)) {
     errors.forEach((error) => {
       const items = makeErrorTraces(error, [...keyPath])
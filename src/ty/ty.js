@@ -5,6 +5,13 @@ import {
 } from 'ts-fns'
 
 import { create } from './rules.js'
+import Tuple from './tuple.js'
+import { parseJSONSchema } from './json-schema-parser.js'
+import { parseDefinition } from './definition-parser.js'
+import { makeTypeScript } from './typescript.js'
+import { check } from './check.js'
+import { isSubtype } from './subtype.js'
+import { makeGuard } from './guard.js'
 
 export class Ty {
   constructor() {
@@ -73,6 +80,7 @@ export class Ty {
   /**
    * @example
    * let error = ty.catch(10).by(Number)
+   * let error = await ty.catch(10).byAsync(Number)
    */
   catch(value) {
     return {
@@ -85,6 +93,34 @@ export class Ty {
         }
         return error
       },
+      byAsync: (type) => {
+        type = create(type)
+
+        return type.catchAsync(value).then((error) => {
+          if (error) {
+            this.dispatch(error)
+          }
+          return error
+        })
+      },
+    }
+  }
+
+  /**
+   * @example
+   * let { value, error } = ty.coerce('10').by(Number)
+   */
+  coerce(value) {
+    return {
+      by: (type) => {
+        type = create(type)
+
+        const res = type.coerce(value)
+        if (res.error) {
+          this.dispatch(res.error)
+        }
+        return res
+      },
     }
   }
 
@@ -138,6 +174,21 @@ export class Ty {
     }
   }
 
+  /**
+   * guard the object at runtime, writes which break the type will be reverted and thrown
+   * @param {object|array} target
+   * @param {*} type
+   * @returns {Proxy}
+   * @example
+   * const config = ty.guard({ port: 80 }, { port: Number })
+   * config.port = '80' // throws, and config.port is still 80
+   */
+  guard(target, type) {
+    type = create(type)
+    this.expect(target).to.be(type)
+    return makeGuard(target, type, error => this.throw(error))
+  }
+
   /**
    * @param {string|undefined} which input|output
    * @example
@@ -172,7 +223,7 @@ export class Ty {
           }
 
           // what
-          if (typeof property === 'function' && (what === 'input' || what === 'output')) {
+          if (typeof descriptor.value === 'function' && (what === 'input' || what === 'output')) {
             const property = descriptor.value
             const wrapper = function(...args) {
               if (what === 'input') {
@@ -202,10 +253,17 @@ const ty = new Ty()
 
 Ty.expect = ty.expect.bind(ty)
 Ty.catch = ty.catch.bind(ty)
+Ty.coerce = ty.coerce.bind(ty)
 Ty.trace = ty.trace.bind(ty)
 Ty.track = ty.track.bind(ty)
 Ty.is = ty.is.bind(ty)
 Ty.decorate = ty.decorate.bind(ty)
+Ty.guard = ty.guard.bind(ty)
 Ty.create = create
+Ty.fromJSONSchema = parseJSONSchema
+Ty.parseDefinition = parseDefinition
+Ty.toTypeScript = makeTypeScript
+Ty.check = check
+Ty.isSubtype = isSubtype
 
 export default Ty
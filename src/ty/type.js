@@ -10,6 +10,27 @@ import {
 import Prototype from './prototype.js'
 import Rule from './rule.js'
 import TyError from './ty-error.js'
+import {
+  createJSONSchemaContext,
+  makeJSONSchemaDocument,
+  makeJSONSchema,
+} from './json-schema.js'
+import { coerceValue } from './coerce.js'
+import { createCleanContext, cleanValue } from './clean.js'
+import { makeDefaults, fillValue } from './defaults.js'
+import { runAsync } from './async.js'
+import { isCompilable, compilePattern } from './compile.js'
+import {
+  createMockContext,
+  mockType,
+  mockValue,
+} from './mock.js'
+import {
+  createDefinitionContext,
+  makeDefinitionDocument,
+  makeDefinition,
+} from './definition.js'
+import { describe } from './describe.js'
 
 export class Type {
 
@@ -194,6 +215,109 @@ export class Type {
     return !error
   }
 
+  /**
+   * compile the type into a validate function for hot paths, which returns the same error as `catch`,
+   * the pattern is parsed only once, and no error will be created when the value passes,
+   * notice: compile again after the pattern changed
+   * @returns {function} (value) => error|null
+   * @example
+   * const validate = SomeType.compile()
+   * const error = validate(value)
+   */
+  compile() {
+    if (!isCompilable(this)) {
+      return value => this.catch(value)
+    }
+    return this._compile()
+  }
+
+  _compile() {
+    return compilePattern(this, this.pattern)
+  }
+
+  /**
+   * validate value asynchronously, rules may return promises, i.e. check whether the username is unique,
+   * async rules run concurrently, and the errors are merged into one TyError as `catch` does
+   * @param {*} value
+   * @returns {Promise<TyError|null>}
+   */
+  catchAsync(value) {
+    return runAsync(() => this.catch(value))
+  }
+
+  /**
+   * convert value to match the type as far as possible, i.e. '10' to 10 for Number,
+   * the original value will not be changed
+   * @param {*} value
+   * @returns {object} { value, error }, error is a TyError when the converted value still does not match
+   */
+  coerce(value) {
+    const output = this._coerce(value)
+    const error = this.catch(output)
+    return { value: output, error }
+  }
+
+  _coerce(value) {
+    return coerceValue(value, this.pattern)
+  }
+
+  /**
+   * remove the keys which are not defined in the pattern, original value will not be changed
+   * @param {*} value
+   * @returns {object} { value, removed }, value is a deep copy, removed is a list of key paths of removed keys
+   */
+  clean(value) {
+    const context = createCleanContext()
+    const output = this._clean(value, context)
+    return { value: output, removed: context.removed }
+  }
+
+  _clean(value, context) {
+    return cleanValue(value, this.pattern, context)
+  }
+
+  /**
+   * materialize a value from the type, properties are filled with the default values of `withDefault`
+   * @returns {*} undefined when the type has no default value
+   */
+  defaults() {
+    return this._defaults()
+  }
+
+  _defaults() {
+    return makeDefaults(this.pattern)
+  }
+
+  /**
+   * fill missing properties with default values and validate, original value will not be changed
+   * @param {*} value
+   * @returns {*} a new value, a TyError will be thrown when it does not match the type
+   */
+  parse(value) {
+    const output = this._fill(value)
+    this.assert(output)
+    return output
+  }
+
+  _fill(value) {
+    return fillValue(value, this.pattern)
+  }
+
+  /**
+   * generate a random value which matches the type
+   * @param {object} [options]
+   * @param {number|string} [options.seed] the same seed will generate the same value
+   * @param {number} [options.maxLength] max length of list, default 5
+   */
+  mock(options) {
+    const context = createMockContext(options)
+    return mockType(this, context)
+  }
+
+  _mock(context) {
+    return mockValue(this.pattern, context)
+  }
+
   /**
    * track value with type sync
    * @param {*} value
@@ -248,6 +372,61 @@ export class Type {
     return this.strict
   }
 
+  /**
+   * convert this type to JSON Schema,
+   * constructs which can not be expressed will be replaced by `{}` with a `$comment`
+   * @param {object} [options]
+   * @param {string} [options.draft] 'draft-07' or '2020-12', default 'draft-07'
+   * @param {function} [options.report] receive { keyPath, name, pattern, reason } of each construct which can not be expressed
+   * @param {object} [context] inner used, context from parent type
+   */
+  toJSONSchema(options, context) {
+    const ctx = createJSONSchemaContext(this, options, context)
+    const schema = makeJSONSchema(this.pattern, ctx)
+    return makeJSONSchemaDocument(schema, ctx)
+  }
+
+  /**
+   * convert this type to a portable definition which can be stringified into JSON,
+   * use `Ty.parseDefinition` to restore it
+   */
+  toDefinition() {
+    const context = createDefinitionContext()
+    const definition = makeDefinition(this, context)
+    return makeDefinitionDocument(definition, context)
+  }
+
+  /**
+   * the same as `toDefinition`, so that `JSON.stringify(type)` gives the definition,
+   * a type which can not be serialized is written as its description, so that stringifying objects which hold it will not throw
+   */
+  toJSON() {
+    try {
+      return this.toDefinition()
+    }
+    catch (e) {
+      return this.describe()
+    }
+  }
+
+  _toDefinition(context) {
+    // subclasses which are not known by the parser can not be restored
+    if (getConstructorOf(this) !== Type) {
+      throw new Error('[Definition]: type `' + this.name + '` can not be serialized.')
+    }
+    return { type: 'Type', pattern: makeDefinition(this.pattern, context) }
+  }
+
+  /**
+   * describe the type as a TypeScript-like signature, i.e. `{ name: String, tags: String[] }`
+   * @param {object} [options]
+   * @param {number} [options.depth] max depth of nested types to expand, deeper ones are replaced by their names
+   * @param {number} [options.indent] spaces to indent properties of objects, default 0 to describe in one line
+   */
+  describe(options) {
+    return describe(this, options)
+  }
+
   // use name when convert to string
   toString() {
     return this.name
@@ -0,0 +1,380 @@
+import {
+  isArray,
+  isObject,
+  isInstanceOf,
+  isFunction,
+  isString,
+  isNumber,
+  isBoolean,
+  isNull,
+  isUndefined,
+  isConstructor,
+  each,
+  getConstructorOf,
+} from 'ts-fns'
+
+import Type from './type.js'
+import Rule from './rule.js'
+import Prototype from './prototype.js'
+import Dict from './dict.js'
+import List from './list.js'
+import Tuple, { isRest } from './tuple.js'
+import Enum from './enum.js'
+import Range from './range.js'
+import Mapping from './mapping.js'
+import MapOf from './map-of.js'
+import SetOf from './set-of.js'
+import Lazy from './lazy.js'
+import Brand from './brand.js'
+import Generic from './generic.js'
+import {
+  Null,
+  Undefined,
+  None,
+  Numeric,
+  Any,
+  Int,
+  Float,
+  Negative,
+  Positive,
+  Finity,
+  Zero,
+  Natural,
+  String8,
+  String16,
+  String32,
+  String64,
+  String128,
+  Email,
+  Url,
+  Uuid,
+  IsoDate,
+  IsoDateTime,
+  Ipv4,
+  Ipv6,
+  HexColor,
+  Semver,
+  Phone,
+  TypedArray,
+} from './prototypes.js'
+
+const declarations = [
+  { proto: Number, declaration: 'number' },
+  { proto: String, declaration: 'string' },
+  { proto: Boolean, declaration: 'boolean' },
+  { proto: Object, declaration: 'Record<string, any>' },
+  { proto: Array, declaration: 'any[]' },
+  { proto: Function, declaration: 'Function' },
+  { proto: Symbol, declaration: 'symbol' },
+  { proto: Infinity, declaration: 'number' },
+  { proto: Promise, declaration: 'Promise<any>' },
+  { proto: Null, declaration: 'null' },
+  { proto: Undefined, declaration: 'undefined' },
+  { proto: None, declaration: 'null | undefined' },
+  { proto: Any, declaration: 'any' },
+  { proto: Numeric, declaration: 'string' },
+  { proto: Int, declaration: 'number' },
+  { proto: Float, declaration: 'number' },
+  { proto: Negative, declaration: 'number' },
+  { proto: Positive, declaration: 'number' },
+  { proto: Finity, declaration: 'number' },
+  { proto: Zero, declaration: '0' },
+  { proto: Natural, declaration: 'number' },
+  { proto: String8, declaration: 'string' },
+  { proto: String16, declaration: 'string' },
+  { proto: String32, declaration: 'string' },
+  { proto: String64, declaration: 'string' },
+  { proto: String128, declaration: 'string' },
+  { proto: Email, declaration: 'string' },
+  { proto: Url, declaration: 'string' },
+  { proto: Uuid, declaration: 'string' },
+  { proto: IsoDate, declaration: 'string' },
+  { proto: IsoDateTime, declaration: 'string' },
+  { proto: Ipv4, declaration: 'string' },
+  { proto: Ipv6, declaration: 'string' },
+  { proto: HexColor, declaration: 'string' },
+  { proto: Semver, declaration: 'string' },
+  { proto: Phone, declaration: 'string' },
+  { proto: TypedArray, declaration: 'ArrayBufferView' },
+]
+
+/**
+ * create TypeScript declaration of a type
+ * @param {Type|*} type
+ * @param {object} options
+ * @param {string} options.name name of the declaration
+ * @param {function} [options.resolve] (pattern) => string|undefined, return a declaration to replace the default one
+ * @returns {string} i.e. export interface Some { name: string }
+ */
+export function makeTypeScript(type, options = {}) {
+  const { name } = options
+  if (!isString(name) || !name) {
+    throw new Error('[TypeScript]: name should be given.')
+  }
+
+  if (isInstanceOf(type, Lazy)) {
+    type = type.resolve()
+  }
+  else if (isInstanceOf(type, Generic)) {
+    type = type.pattern
+  }
+
+  const context = { ...options, indent: '', root: type, lazies: [] }
+  const pattern = isInstanceOf(type, Type) && getConstructorOf(type) === Type ? type.pattern : type
+
+  // use interface for object
+  if (isObject(pattern) || isInstanceOf(pattern, Dict)) {
+    const fields = isInstanceOf(pattern, Dict) ? pattern.pattern : pattern
+    return 'export interface ' + name + ' ' + makeObjectTypeScript(fields, context)
+  }
+
+  return 'export type ' + name + ' = ' + makeTypeScriptDeclaration(pattern, context) + ';'
+}
+
+/**
+ * convert any pattern to TypeScript declaration
+ * @param {*} pattern
+ * @param {object} context
+ */
+export function makeTypeScriptDeclaration(pattern, context) {
+  const { resolve } = context
+  if (isFunction(resolve)) {
+    const declaration = resolve(pattern)
+    if (isString(declaration)) {
+      return declaration
+    }
+  }
+
+  if (isInstanceOf(pattern, Rule)) {
+    const { declaration } = makeRuleTypeScript(pattern, context)
+    return declaration
+  }
+
+  if (isInstanceOf(pattern, Dict)) {
+    return makeObjectTypeScript(pattern.pattern, context)
+  }
+
+  if (isInstanceOf(pattern, List)) {
+    return makeArrayTypeScript(pattern.pattern, context)
+  }
+
+  if (isInstanceOf(pattern, Tuple)) {
+    const items = pattern.pattern.map((item) => {
+      if (isRest(item)) {
+        return '...' + wrap(makeTypeScriptDeclaration(item.pattern, context)) + '[]'
+      }
+      const { declaration, optional } = makePropertyTypeScript(item, context)
+      return optional ? wrap(declaration) + '?' : declaration
+    })
+    return '[' + items.join(', ') + ']'
+  }
+
+  if (isInstanceOf(pattern, Enum)) {
+    return makeUnionTypeScript(pattern.pattern.map(item => makeTypeScriptDeclaration(item, context)))
+  }
+
+  if (isInstanceOf(pattern, Lazy)) {
+    const type = pattern.resolve()
+    const { root, name, lazies = [] } = context
+    // refer to the declaration itself
+    if (root && type.pattern === root.pattern) {
+      return name
+    }
+    if (lazies.indexOf(pattern.pattern) > -1) {
+      return 'any'
+    }
+    return makeTypeScriptDeclaration(type, { ...context, lazies: [...lazies, pattern.pattern] })
+  }
+
+  if (isInstanceOf(pattern, Range)) {
+    const declarations = { date: 'Date | string', bigint: 'bigint', length: 'string | any[]' }
+    return declarations[pattern.kind] || 'number'
+  }
+
+  if (isInstanceOf(pattern, MapOf)) {
+    const key = makeTypeScriptDeclaration(pattern.pattern.key, context)
+    const value = makeTypeScriptDeclaration(pattern.pattern.value, context)
+    return 'Map<' + key + ', ' + value + '>'
+  }
+
+  if (isInstanceOf(pattern, SetOf)) {
+    return 'Set<' + makeTypeScriptDeclaration(pattern.pattern, context) + '>'
+  }
+
+  if (isInstanceOf(pattern, Mapping)) {
+    const key = makeTypeScriptDeclaration(pattern.pattern.key, context)
+    const value = makeTypeScriptDeclaration(pattern.pattern.value, context)
+    return '{ [key: ' + (key === 'number' ? 'number' : 'string') + ']: ' + value + ' }'
+  }
+
+  if (isInstanceOf(pattern, Type)) {
+    return makeTypeScriptDeclaration(pattern.pattern, context)
+  }
+
+  if (isArray(pattern)) {
+    return makeArrayTypeScript(pattern, context)
+  }
+
+  if (isObject(pattern)) {
+    return makeObjectTypeScript(pattern, context)
+  }
+
+  const item = declarations.find(item => item.proto === pattern)
+  if (item) {
+    return item.declaration
+  }
+
+  if (isInstanceOf(pattern, RegExp) || (isInstanceOf(pattern, Prototype) && pattern.stringOf)) {
+    return 'string'
+  }
+
+  if (Prototype.is(pattern).existing()) {
+    // native classes or custom classes
+    if (isConstructor(pattern) && !Prototype.find(pattern)) {
+      return getClassName(pattern) || 'any'
+    }
+    return 'any'
+  }
+
+  if (isString(pattern) || isNumber(pattern) || isBoolean(pattern) || isNull(pattern) || isUndefined(pattern)) {
+    return isUndefined(pattern) ? 'undefined' : JSON.stringify(pattern)
+  }
+
+  return 'any'
+}
+
+/**
+ * @param {*} pattern
+ * @param {object} context
+ * @returns {object} { declaration, optional }
+ */
+export function makePropertyTypeScript(pattern, context) {
+  if (isInstanceOf(pattern, Rule)) {
+    return makeRuleTypeScript(pattern, context)
+  }
+  return { declaration: makeTypeScriptDeclaration(pattern, context), optional: false }
+}
+
+function makeObjectTypeScript(pattern, context) {
+  const { indent } = context
+  const subContext = { ...context, indent: indent + '  ' }
+  const lines = []
+
+  each(pattern, (value, key) => {
+    const { declaration, optional } = makePropertyTypeScript(value, subContext)
+    lines.push(subContext.indent + makeKey(key) + (optional ? '?' : '') + ': ' + declaration + ';')
+  })
+
+  if (!lines.length) {
+    return '{}'
+  }
+
+  return '{\n' + lines.join('\n') + '\n' + indent + '}'
+}
+
+function makeArrayTypeScript(pattern, context) {
+  if (!pattern.length) {
+    return 'any[]'
+  }
+  const items = pattern.map(item => makeTypeScriptDeclaration(item, context))
+  return wrap(makeUnionTypeScript(items)) + '[]'
+}
+
+function makeUnionTypeScript(items) {
+  const unique = items.filter((item, i) => items.indexOf(item) === i)
+  return unique.join(' | ')
+}
+
+function makeRuleTypeScript(rule, context) {
+  const { name, pattern } = rule
+  const make = pattern => makePropertyTypeScript(pattern, context).declaration
+
+  if (name === 'ifexist' || name === 'withDefault' || name === 'shouldexist' || name === 'shouldnotexist') {
+    return { declaration: make(pattern), optional: true }
+  }
+
+  if (name === 'nullable') {
+    const { declaration, optional } = makePropertyTypeScript(pattern, context)
+    return { declaration: makeUnionTypeScript([declaration, 'null']), optional }
+  }
+
+  if (name === 'equal') {
+    const declaration = isObject(pattern) || isArray(pattern) ? makeValueTypeScript(pattern, context) : makeTypeScriptDeclaration(pattern, context)
+    return { declaration, optional: false }
+  }
+
+  if (name === 'match') {
+    const items = pattern.map(make).filter(item => item !== 'any')
+    return { declaration: items.length ? items.map(wrap).join(' & ') : 'any', optional: false }
+  }
+
+  if (name === 'determine') {
+    return { declaration: makeUnionTypeScript(pattern.map(make)), optional: false }
+  }
+
+  if ((name === 'shouldmatch' || name === 'ifnotmatch') && (!isFunction(pattern) || Prototype.is(pattern).existing())) {
+    return { declaration: make(pattern), optional: false }
+  }
+
+  if (name === 'instance' && isInstanceOf(pattern, Brand)) {
+    const declaration = makeTypeScriptDeclaration(pattern.pattern, context)
+    return { declaration: wrap(declaration) + ' & { readonly __brand: ' + JSON.stringify(pattern.name) + ' }', optional: false }
+  }
+
+  if (name === 'instance') {
+    return { declaration: getClassName(pattern) || 'any', optional: false }
+  }
+
+  if (name === 'lambda' || name === 'asyncLambda') {
+    const [InputType, OutputType] = pattern
+    const params = InputType.pattern.map((item, i) => {
+      if (isRest(item)) {
+        return '...arg' + i + ': ' + wrap(makeTypeScriptDeclaration(item.pattern, context)) + '[]'
+      }
+      const { declaration, optional } = makePropertyTypeScript(item, context)
+      return 'arg' + i + (optional ? '?' : '') + ': ' + declaration
+    })
+    const output = makeTypeScriptDeclaration(OutputType, context)
+    return { declaration: '(' + params.join(', ') + ') => ' + (name === 'asyncLambda' ? 'Promise<' + output + '>' : output), optional: false }
+  }
+
+  if (name === 'promise') {
+    return { declaration: 'Promise<' + makeTypeScriptDeclaration(pattern, context) + '>', optional: false }
+  }
+
+  return { declaration: 'any', optional: false }
+}
+
+function makeValueTypeScript(value, context) {
+  if (isArray(value)) {
+    return '[' + value.map(item => makeValueTypeScript(item, context)).join(', ') + ']'
+  }
+  if (isObject(value)) {
+    const { indent } = context
+    const subContext = { ...context, indent: indent + '  ' }
+    const lines = Object.keys(value).map(key => subContext.indent + makeKey(key) + ': ' + makeValueTypeScript(value[key], subContext) + ';')
+    return lines.length ? '{\n' + lines.join('\n') + '\n' + indent + '}' : '{}'
+  }
+  return makeTypeScriptDeclaration(value, context)
+}
+
+function makeKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)
+}
+
+function wrap(declaration) {
+  return /^[\w$.<>, \[\]]+$/.test(declaration) || /^\{[\s\S]*\}$/.test(declaration) ? declaration : '(' + declaration + ')'
+}
+
+/**
+ * get class name from source code,
+ * because `name` may be overrided by static property
+ * @param {function} Constructor
+ */
+export function getClassName(Constructor) {
+  const matched = Function.prototype.toString.call(Constructor).match(/^(?:class|function)\s+([A-Za-z_$][\w$]*)/)
+  if (matched) {
+    return matched[1]
+  }
+  return isString(Constructor.name) ? Constructor.name : ''
+}
@@ -257,3 +257,45 @@ describe('Model', () => {
     expect(count).toBe(2)
   })
 })
+
+describe('Model.toTypeScript', () => {
+  class ChildModel extends Model {
+    static name = {
+      default: '',
+      type: String,
+    }
+  }
+  class ParentModel extends Model {
+    static age = {
+      default: 0,
+    }
+    static child = ChildModel
+    static children = [ChildModel]
+  }
+
+  test('sub models', () => {
+    expect(ParentModel.toTypeScript()).toBe([
+      'export interface ParentModel {',
+      '  age: number;',
+      '  child: ChildModel;',
+      '  children: ChildModel[];',
+      '}',
+      '',
+      'export interface ChildModel {',
+      '  name: string;',
+      '}',
+      '',
+    ].join('\n'))
+    expect(ParentModel.toTypeScript({ name: 'Parent' }).indexOf('export interface Parent {')).toBe(0)
+  })
+
+  test('class name is read from source', () => {
+    class NamedModel extends Model {
+      static name = 'x'
+      static age = {
+        default: 0,
+      }
+    }
+    expect(NamedModel.toTypeScript().indexOf('export interface NamedModel {')).toBe(0)
+  })
+})
@@ -0,0 +1,118 @@
+import {
+  Dict, List, Rule, TyError,
+  asynch, shouldmatch, ifexist, ifnotmatch,
+  Ty,
+} from '../../src/ty/index.js'
+
+const delay = (time, value) => new Promise(resolve => setTimeout(() => resolve(value), time))
+
+describe('catchAsync', () => {
+  const names = ['tomy', 'lily']
+  const isUnique = value => delay(10, names.indexOf(value) === -1)
+
+  test('async rule', async () => {
+    const SomeType = new Dict({
+      name: shouldmatch(isUnique, 'name should be unique'),
+      age: Number,
+    })
+
+    expect(await SomeType.catchAsync({ name: 'lucy', age: 10 })).toBeNull()
+
+    const error = await SomeType.catchAsync({ name: 'tomy', age: 10 })
+    expect(error).toBeInstanceOf(TyError)
+    expect(error.message).toBe('name should be unique')
+
+    // sync validation does not wait
+    expect(SomeType.catch({ name: 'tomy', age: 10 })).toBeNull()
+  })
+  test('merge errors', async () => {
+    const SomeType = new Dict({
+      name: shouldmatch(isUnique, 'name should be unique'),
+      nick: shouldmatch(isUnique, 'nick should be unique'),
+      age: Number,
+    })
+    const error = await SomeType.catchAsync({ name: 'tomy', nick: 'lily', age: '10' })
+    expect(error.traces.map(item => item.keyPath)).toEqual([['name'], ['nick'], ['age']])
+  })
+  test('run concurrently', async () => {
+    const logs = []
+    const createRule = name => new Rule({
+      validate() {
+        logs.push('start ' + name)
+        return delay(10).then(() => {
+          logs.push('end ' + name)
+          return true
+        })
+      },
+    })
+    const SomeType = new Dict({
+      a: createRule('a'),
+      b: createRule('b'),
+    })
+    await SomeType.catchAsync({ a: 1, b: 2 })
+    expect(logs).toEqual(['start a', 'start b', 'end a', 'end b'])
+  })
+  test('nested', async () => {
+    const SomeType = new Dict({
+      children: new List([
+        new Dict({
+          name: shouldmatch(isUnique, 'name should be unique'),
+        }),
+      ]),
+      note: ifexist(new Rule({ validate: () => Promise.reject(new Error('note is wrong')) })),
+    })
+    const error = await SomeType.catchAsync({ children: [{ name: 'a' }, { name: 'lily' }], note: '' })
+    expect(error.traces.map(item => item.keyPath)).toEqual([['children', 1, 'name'], ['note']])
+  })
+  test('asynch', async () => {
+    const SomeType = new Dict({
+      some: asynch(() => delay(10, Number)),
+    })
+    const error = await SomeType.catchAsync({ some: '' })
+    expect(error).toBeInstanceOf(TyError)
+    expect(await SomeType.catchAsync({ some: 1 })).toBeNull()
+  })
+  test('Ty.catch.byAsync', async () => {
+    const SomeType = new Dict({
+      name: shouldmatch(isUnique, 'name should be unique'),
+    })
+    const errors = []
+    const ty = new Ty()
+    ty.bind(error => errors.push(error))
+    const error = await ty.catch({ name: 'lily' }).byAsync(SomeType)
+    expect(error).toBeInstanceOf(TyError)
+    await delay(0)
+    expect(errors).toEqual([error])
+  })
+  test('side effects run once', async () => {
+    let decorated = 0
+    const SomeType = new Dict({
+      a: new Rule({
+        validate: () => delay(10, true),
+        decorate: () => { decorated ++ },
+      }),
+      b: asynch(() => delay(10, Number)),
+      c: ifnotmatch(Number, 0),
+      d: new Rule({
+        validate: () => true,
+        decorate: () => { decorated ++ },
+      }),
+    })
+    const data = { a: 1, b: 1, c: '1', d: 1 }
+    expect(await SomeType.catchAsync(data)).toBeNull()
+    expect(decorated).toBe(2)
+    expect(data.c).toBe(0)
+  })
+  test('pending after max rounds', async () => {
+    // the value changes each time, so the promise is never reused
+    const SomeType = new Dict({
+      count: new Rule({
+        validate(data, key) {
+          data[key] ++
+          return Promise.resolve(true)
+        },
+      }),
+    })
+    await expect(SomeType.catchAsync({ count: 0 })).rejects.toThrowError('[Type]: async validation is still pending after 10 rounds.')
+  })
+})
@@ -0,0 +1,111 @@
+import {
+  Brand, brand, Dict, List, TyError,
+  instance, lambda,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('Brand', () => {
+  const UserId = brand('UserId', String)
+  const OrderId = brand('OrderId', String)
+
+  test('from', () => {
+    const id = UserId.from('u1')
+    expect(typeof id).toBe('object')
+    expect(UserId.unwrap(id)).toBe('u1')
+    expect(UserId.is(id)).toBe(true)
+    expect(OrderId.is(id)).toBe(false)
+    expect(UserId.is('u1')).toBe(false)
+
+    expect(() => UserId.from(1)).toThrowError(TyError)
+
+    const Point = new Brand('Point', { x: Number, y: Number })
+    const point = { x: 1, y: 2 }
+    expect(Point.from(point)).toBe(point)
+    expect(Point.is(point)).toBe(true)
+    expect(Point.is({ x: 1, y: 2 })).toBe(false)
+
+    expect(() => brand('', String)).toThrowError('[Brand]: name should be a string.')
+  })
+
+  test('type pattern', () => {
+    const User = brand('User', new Dict({ name: String }))
+    const Admin = brand('Admin', new Dict({ name: String }))
+    const user = User.from({ name: 'a' })
+    expect(User.is(user)).toBe(true)
+    expect(Admin.is(user)).toBe(false)
+    expect(User.test({ name: 1 })).toBe(false)
+    expect(() => User.from({ name: 1 })).toThrowError('$.name should match `String`, but receive `1`.')
+    expect(User.strict.test({ name: 'a', age: 1 })).toBe(false)
+    expect(User.test({ name: 'a', age: 1 })).toBe(true)
+    expect(User.strict.compile()({ name: 'a', age: 1 })).toBeInstanceOf(TyError)
+
+    const Ids = brand('Ids', new List([Number]))
+    expect(Ids.test([1, 2])).toBe(true)
+    expect(Ids.test(['a'])).toBe(false)
+    expect(Ids.unwrap(Ids.from([1]))).toEqual([1])
+  })
+
+  test('test', () => {
+    // brand itself only checks the pattern
+    expect(UserId.test('u1')).toBe(true)
+    expect(UserId.test(UserId.from('u1'))).toBe(true)
+    expect(UserId.test(1)).toBe(false)
+    expect(UserId.compile()(OrderId.from('o1'))).toBeNull()
+    expect(UserId.compile()(1)).toBeInstanceOf(TyError)
+    // clones share the brand
+    expect(UserId.clone().is(UserId.from('u1'))).toBe(true)
+  })
+
+  test('instance', () => {
+    const Order = new Dict({ owner: instance(UserId) })
+    expect(Order.test({ owner: UserId.from('u1') })).toBe(true)
+    expect(Order.test({ owner: OrderId.from('o1') })).toBe(false)
+    expect(Order.test({ owner: 'u1' })).toBe(false)
+
+    const Api = new Dict({
+      getUser: lambda([instance(UserId)], String),
+    })
+    const api = { getUser: id => UserId.unwrap(id) }
+    Api.assert(api)
+    expect(api.getUser(UserId.from('u1'))).toBe('u1')
+    expect(() => api.getUser(OrderId.from('o1'))).toThrowError(TyError)
+    expect(() => api.getUser('u1')).toThrowError(TyError)
+  })
+
+  test('isSubtype', () => {
+    expect(Ty.isSubtype(instance(UserId), instance(UserId)).passed).toBe(true)
+    expect(Ty.isSubtype(instance(UserId), String).passed).toBe(true)
+    expect(Ty.isSubtype(instance(OrderId), instance(UserId)).passed).toBe(false)
+    expect(Ty.isSubtype(String, instance(UserId)).passed).toBe(false)
+    expect(Ty.isSubtype(UserId, String).passed).toBe(true)
+  })
+
+  test('describe and TypeScript', () => {
+    expect(UserId.describe()).toBe('UserId(String)')
+    const Order = new Dict({ owner: instance(UserId) })
+    expect(Ty.toTypeScript(Order, { name: 'Order' })).toBe('export interface Order {\n  owner: string & { readonly __brand: "UserId" };\n}')
+  })
+
+  test('definition', () => {
+    const type = Ty.parseDefinition(JSON.stringify(new Dict({ owner: instance(UserId) }).toDefinition()))
+    expect(type.pattern.owner.pattern).toBeInstanceOf(Brand)
+    expect(type.pattern.owner.pattern.name).toBe('UserId')
+    // a new brand
+    expect(type.test({ owner: UserId.from('u1') })).toBe(false)
+  })
+
+  test('without BigInt', () => {
+    const { BigInt } = global
+    delete global.BigInt
+    try {
+      jest.resetModules()
+      const { brand, Ty } = require('../../src/ty/index.js')
+      const Id = brand('Id', Number)
+      expect(Id.unwrap(Id.from(1))).toBe(1)
+      expect(() => Ty.parseDefinition({ version: 1, definition: { bigint: '1' } })).toThrowError('[Definition]: bigint is not supported in this environment.')
+    }
+    finally {
+      global.BigInt = BigInt
+    }
+  })
+})
@@ -0,0 +1,64 @@
+import {
+  Dict, Int, Positive,
+  ifexist,
+  Ty,
+} from '../../src/ty/index.js'
+import { shrinkValue } from '../../src/ty/check.js'
+
+describe('Ty.check', () => {
+  test('passed', () => {
+    const res = Ty.check((a, b) => a + b === b + a, Int, Int)
+    expect(res.passed).toBe(true)
+    expect(res.runs).toBe(100)
+  })
+  test('shrink number', () => {
+    const res = Ty.check({ property: a => a < 10, seed: 1, runs: 200 }, Int)
+    expect(res.passed).toBe(false)
+    expect(res.args).toEqual([10])
+    expect(res.seed).toBe(1)
+    expect(res.message).toContain('counterexample: [10]')
+  })
+  test('shrink list', () => {
+    const res = Ty.check({ property: list => list.length < 2, seed: 2 }, [Int])
+    expect(res.passed).toBe(false)
+    expect(res.args).toEqual([[0, 0]])
+    expect(res.original[0].length).toBeGreaterThan(1)
+  })
+  test('shrink optional keys', () => {
+    const SomeDict = new Dict({
+      name: String,
+      age: ifexist(Positive),
+    })
+    const res = Ty.check({
+      property: (data) => {
+        if (data.name.length > 1) {
+          throw new Error('name too long')
+        }
+      },
+      seed: 3,
+    }, SomeDict)
+    expect(res.passed).toBe(false)
+    expect(res.args[0]).toEqual({ name: expect.any(String) })
+    expect(res.args[0].name.length).toBe(2)
+    expect(res.error.message).toBe('name too long')
+    expect(SomeDict.test(res.args[0])).toBe(true)
+  })
+  test('same seed same result', () => {
+    const property = a => a.length < 3
+    const a = Ty.check({ property, seed: 'seed' }, String)
+    const b = Ty.check({ property, seed: 'seed' }, String)
+    expect(a.original).toEqual(b.original)
+    expect(a.args).toEqual(b.args)
+  })
+  test('shrinkValue', () => {
+    expect(shrinkValue(10)).toEqual([0, 5, 9])
+    expect(shrinkValue(-3)).toEqual([0, -1, -2, 3])
+    expect(shrinkValue(1.5)).toEqual([0, 1])
+    expect(shrinkValue(true)).toEqual([false])
+    expect(shrinkValue([])).toEqual([])
+    expect(shrinkValue({ a: 0 })).toEqual([{}])
+  })
+  test('invalid property', () => {
+    expect(() => Ty.check({}, Number)).toThrowError()
+  })
+})
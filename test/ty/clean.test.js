@@ -0,0 +1,97 @@
+import {
+  Dict, List, Tuple, Enum, Mapping, MapOf, SetOf,
+  ifexist, nullable, rest, lazy,
+} from '../../src/ty/index.js'
+
+describe('clean', () => {
+  test('Dict', () => {
+    const SomeDict = new Dict({
+      name: String,
+      child: ifexist(new Dict({ name: String })),
+      parent: nullable({ name: String }),
+      tags: [{ name: String }],
+    })
+    const value = {
+      name: 'a',
+      age: 10,
+      child: { name: 'b', age: 1 },
+      parent: { name: 'c', age: 30 },
+      tags: [{ name: 'x', color: 'red' }, { name: 'y' }],
+    }
+    const { value: output, removed } = SomeDict.clean(value)
+
+    expect(output).toEqual({
+      name: 'a',
+      child: { name: 'b' },
+      parent: { name: 'c' },
+      tags: [{ name: 'x' }, { name: 'y' }],
+    })
+    expect(removed).toEqual([['age'], ['child', 'age'], ['parent', 'age'], ['tags', 0, 'color']])
+    expect(SomeDict.Strict.test(output)).toBe(true)
+
+    // original value is not changed
+    expect(value.age).toBe(10)
+    expect(value.child.age).toBe(1)
+    expect(output.tags).not.toBe(value.tags)
+
+    expect(SomeDict.clean({ name: 'a', parent: null, tags: [] })).toEqual({
+      value: { name: 'a', parent: null, tags: [] },
+      removed: [],
+    })
+  })
+
+  test('deep copy', () => {
+    const SomeDict = new Dict({ meta: Object })
+    const value = { meta: { a: { b: 1 } } }
+    const { value: output } = SomeDict.clean(value)
+    expect(output).toEqual(value)
+    expect(output.meta.a).not.toBe(value.meta.a)
+  })
+
+  test('List Tuple Enum', () => {
+    const SomeList = new List([{ name: String }, { id: Number }])
+    expect(SomeList.clean([{ name: 'a', x: 1 }, { id: 1, y: 1 }]).value).toEqual([{ name: 'a' }, { id: 1 }])
+
+    const SomeTuple = new Tuple([{ name: String }, Number])
+    expect(SomeTuple.clean([{ name: 'a', x: 1 }, 1, 2])).toEqual({
+      value: [{ name: 'a' }, 1],
+      removed: [[0, 'x'], [2]],
+    })
+    const RestTuple = new Tuple([String, rest({ id: Number })])
+    expect(RestTuple.clean(['a', { id: 1, x: 1 }]).value).toEqual(['a', { id: 1 }])
+
+    const Shape = Enum.by('kind', {
+      circle: { kind: 'circle', radius: Number },
+      square: { kind: 'square', size: Number },
+    })
+    expect(Shape.clean({ kind: 'circle', radius: 1, size: 1 }).value).toEqual({ kind: 'circle', radius: 1 })
+    expect(new Enum([{ name: String }, Number]).clean({ name: 'a', x: 1 }).value).toEqual({ name: 'a' })
+  })
+
+  test('Mapping MapOf SetOf', () => {
+    const SomeMapping = new Mapping({ key: String, value: { name: String } })
+    expect(SomeMapping.clean({ a: { name: 'a', x: 1 } })).toEqual({
+      value: { a: { name: 'a' } },
+      removed: [['a', 'x']],
+    })
+
+    const SomeMap = new MapOf({ key: String, value: { name: String } })
+    const { value: map } = SomeMap.clean(new Map([['a', { name: 'a', x: 1 }]]))
+    expect(map.get('a')).toEqual({ name: 'a' })
+
+    const SomeSet = new SetOf({ name: String })
+    const { value: set, removed } = SomeSet.clean(new Set([{ name: 'a', x: 1 }]))
+    expect(Array.from(set)).toEqual([{ name: 'a' }])
+    expect(removed).toEqual([[0, 'x']])
+  })
+
+  test('lazy', () => {
+    const Node = new Dict({
+      name: String,
+      children: [lazy(() => Node)],
+    })
+    const { value, removed } = Node.clean({ name: 'a', x: 1, children: [{ name: 'b', y: 1, children: [] }] })
+    expect(value).toEqual({ name: 'a', children: [{ name: 'b', children: [] }] })
+    expect(removed).toEqual([['x'], ['children', 0, 'y']])
+  })
+})
@@ -0,0 +1,77 @@
+import {
+  Ty, Type, Dict, List, Tuple, Enum, Range, Mapping,
+  Int, Numeric, TyError,
+  ifexist, nullable,
+} from '../../src/ty/index.js'
+
+describe('coerce', () => {
+  test('prototypes', () => {
+    expect(new Type(Number).coerce('10')).toEqual({ value: 10, error: null })
+    expect(new Type(Number).coerce('1.5e2').value).toBe(150)
+    expect(new Type(Int).coerce('10').value).toBe(10)
+    expect(new Type(Boolean).coerce('false').value).toBe(false)
+    expect(new Type(String).coerce(10).value).toBe('10')
+    expect(new Type(Numeric).coerce(10).value).toBe('10')
+    expect(new Type(Date).coerce('2020-01-01').value).toBeInstanceOf(Date)
+    expect(new Type(10).coerce('10').value).toBe(10)
+  })
+  test('not convert ambiguous values', () => {
+    const { value, error } = new Type(Number).coerce('10a')
+    expect(value).toBe('10a')
+    expect(error).toBeInstanceOf(TyError)
+    expect(new Type(Number).coerce('').value).toBe('')
+    expect(new Type(Boolean).coerce('1').value).toBe('1')
+    expect(new Type(Int).coerce('10.5').error).toBeInstanceOf(TyError)
+  })
+  test('Dict', () => {
+    const SomeDict = new Dict({
+      name: String,
+      age: Number,
+      height: ifexist(Number),
+      weight: nullable(Number),
+      tags: [Int],
+      pos: new Tuple([Number, Boolean]),
+    })
+    const data = {
+      name: 'tomy',
+      age: '10',
+      weight: null,
+      tags: ['1', 2],
+      pos: ['1.5', 'true'],
+    }
+    const { value, error } = SomeDict.coerce(data)
+    expect(error).toBeNull()
+    expect(value).toEqual({
+      name: 'tomy',
+      age: 10,
+      weight: null,
+      tags: [1, 2],
+      pos: [1.5, true],
+    })
+    // original data should not be changed
+    expect(data.age).toBe('10')
+  })
+  test('error of left values', () => {
+    const SomeDict = new Dict({
+      age: Number,
+      height: Number,
+    })
+    const { value, error } = SomeDict.coerce({ age: '10', height: 'high' })
+    expect(value).toEqual({ age: 10, height: 'high' })
+    expect(error).toBeInstanceOf(TyError)
+    expect(error.message).toBe('$.height should match `Number`, but receive `"high"`.')
+  })
+  test('List and Enum', () => {
+    expect(new List([Number, Boolean]).coerce(['1', 'true', true]).value).toEqual([1, true, true])
+    expect(new Enum([Boolean, Number]).coerce('10').value).toBe(10)
+    expect(new Enum([String, Number]).coerce('10').value).toBe('10')
+  })
+  test('Range and Mapping', () => {
+    expect(new Range({ min: 0, max: 10 }).coerce('5').value).toBe(5)
+    expect(new Range({ min: 0, max: 10 }).coerce('11').error).toBeInstanceOf(TyError)
+    expect(new Mapping({ key: Numeric, value: Number }).coerce({ 1: '1', 2: '2' }).value).toEqual({ 1: 1, 2: 2 })
+  })
+  test('Ty.coerce', () => {
+    expect(Ty.coerce({ page: '1' }).by({ page: Int })).toEqual({ value: { page: 1 }, error: null })
+  })
+})
@@ -0,0 +1,219 @@
+import {
+  Type, Dict, List, Tuple, Enum, Range, Mapping, MapOf, SetOf, Rule,
+  Int, Numeric, Email,
+  ifexist, nullable, equal, match, shouldmatch, shouldnotmatch, instance, rest,
+} from '../../src/ty/index.js'
+
+// test files whose patterns are replayed through `compile`
+const suites = [
+  './type.test.js',
+  './dict.test.js',
+  './list.test.js',
+  './tuple.test.js',
+  './enum.test.js',
+  './range.test.js',
+  './mapping.test.js',
+  './map-of.test.js',
+  './set-of.test.js',
+  './rule.test.js',
+  './rules.test.js',
+]
+
+/**
+ * load a test file without registering its suites, collect the bodies of its tests
+ * @param {string} file
+ * @returns {function[]}
+ */
+function collectTests(file) {
+  const { describe, test } = global
+  const bodies = []
+  global.describe = (name, fn) => fn()
+  global.test = (name, fn) => bodies.push(fn)
+  try {
+    require(file)
+  }
+  finally {
+    global.describe = describe
+    global.test = test
+  }
+  return bodies
+}
+
+// run the body of a test, the ones with `done` are resolved when `done` is invoked
+function runTest(body) {
+  if (!body.length) {
+    return Promise.resolve().then(() => body())
+  }
+  return new Promise(resolve => body(resolve))
+}
+
+// rules which modify data can not be run twice
+function hasSideEffects(pattern, visited = []) {
+  if (!pattern || typeof pattern !== 'object' || visited.indexOf(pattern) > -1) {
+    return false
+  }
+  visited.push(pattern)
+
+  if (pattern instanceof Rule) {
+    const { decorate, override, complete } = pattern.options
+    return !!(decorate || override || complete) || hasSideEffects(pattern.pattern, visited)
+  }
+  if (pattern instanceof Type) {
+    return hasSideEffects(pattern.pattern, visited)
+  }
+  return Object.keys(pattern).some(key => hasSideEffects(pattern[key], visited))
+}
+
+function summarize(error) {
+  if (!error) {
+    return null
+  }
+  return {
+    message: error.message,
+    traces: error.traces.map(({ type, keyPath }) => ({ type, keyPath })),
+  }
+}
+
+// compare the errors of `compile` and `catch` for each value
+function expectSame(type, values) {
+  const validate = type.compile()
+  values.forEach((value) => {
+    expect(summarize(validate(value))).toEqual(summarize(type.catch(value)))
+  })
+}
+
+describe('compile', () => {
+  test('same errors as catch in existing test cases', async () => {
+    // record the types and values which are checked by `catch` in the existing test cases
+    const spies = [Type, Dict, List, Tuple, Enum, Range, Mapping, MapOf, SetOf].map(Constructor => jest.spyOn(Constructor.prototype, 'catch'))
+    const records = []
+    try {
+      for (const file of suites) {
+        for (const body of collectTests(file)) {
+          try {
+            await runTest(body)
+          }
+          catch (e) {
+            // failures are reported by the test file itself
+          }
+        }
+      }
+    }
+    finally {
+      spies.forEach((spy) => {
+        const { instances, calls } = spy.mock
+        instances.forEach((type, i) => records.push([type, calls[i][0]]))
+        spy.mockRestore()
+      })
+    }
+
+    const mismatches = []
+    let compared = 0
+    records.forEach(([type, value]) => {
+      if (hasSideEffects(type)) {
+        return
+      }
+      compared ++
+      const expected = summarize(type.catch(value))
+      try {
+        const received = summarize(type.compile()(value))
+        if (JSON.stringify(expected) !== JSON.stringify(received)) {
+          mismatches.push({ type: type.name, expected, received })
+        }
+      }
+      catch (e) {
+        mismatches.push({ type: type.name, expected, thrown: e.message })
+      }
+    })
+
+    expect(compared).toBeGreaterThan(400)
+    expect(mismatches).toEqual([])
+  })
+
+  test('same errors', () => {
+    const SomeType = new Dict({
+      name: String,
+      age: ifexist(Int),
+      tags: [String, Numeric],
+      note: nullable(String),
+      kind: equal('a'),
+      pair: new Tuple([String, Number]),
+      color: new Enum(['red', 'blue']),
+      score: new Range({ min: 0, max: 100 }),
+      map: new Mapping({ key: Numeric, value: Number }),
+    })
+    const values = [
+      null,
+      {},
+      { name: 'a', tags: [], note: null, kind: 'a', pair: ['a', 1], color: 'red', score: 1, map: { 1: 1 } },
+      { name: 1, age: 1.1, tags: [1, '1', true], note: 1, kind: 'b', pair: [1], color: 'green', score: 101, map: { a: 'a' } },
+    ]
+    expectSame(SomeType, values)
+
+    const StrictType = SomeType.Strict
+    const value = { ...values[2], other: 1 }
+    expectSame(StrictType, [value])
+    expect(StrictType.compile()(value).traces[0].type).toBe('overflow')
+  })
+
+  test('same errors of each type', () => {
+    expectSame(new Type(Number), [1, '1', null, NaN])
+    expectSame(new Type(Email), ['a@b.com', 'a'])
+    expectSame(new Dict({ a: { b: [Number] } }), [{ a: { b: [1] } }, { a: { b: [1, 'a'] } }, { a: 1 }, {}, []])
+    expectSame(new List([Number]), [[], [1], ['a', 2, 'b'], {}])
+    expectSame(new List([Number], { min: 1, max: 2 }), [[], [1, 2, 3]])
+    expectSame(new Tuple([String, Number, rest(Boolean)]), [['a', 1], ['a', 1, true, 0], [1], 'a'])
+    expectSame(new Enum([String, new Dict({ a: Number })]), ['a', { a: 1 }, { a: 'a' }, 1])
+    expectSame(new Range({ min: 0, max: 10, minBound: false }), [0, 5, 10, 11, '1'])
+    expectSame(new Mapping({ key: String, value: Number }), [{ a: 1 }, { a: 'a' }, 1])
+    expectSame(new MapOf({ key: String, value: Number }), [new Map([['a', 1]]), new Map([[1, 'a']]), {}])
+    expectSame(new SetOf(Number), [new Set([1]), new Set([1, 'a']), []])
+  })
+
+  test('same errors of rules', () => {
+    expectSame(new Dict({
+      a: match([Number, shouldmatch(Int, 'should be int')]),
+      b: shouldnotmatch(String),
+      c: instance(Date),
+      d: ifexist(nullable(Number)),
+    }), [
+      { a: 1, b: 1, c: new Date() },
+      { a: 1.1, b: 'b', c: 1, d: 'd' },
+      { a: 'a', b: 1, c: new Date(), d: null },
+      {},
+    ])
+  })
+
+  test('custom catch', () => {
+    class SomeType extends Type {
+      catch(value) {
+        return value === 1 ? null : new Error('not 1')
+      }
+    }
+    const validate = new SomeType(Number).compile()
+    expect(validate(1)).toBeNull()
+    expect(validate(2).message).toBe('not 1')
+  })
+
+  test('large list', () => {
+    const SomeList = new List([
+      new Dict({
+        id: Int,
+        name: String,
+        tags: [String],
+        age: ifexist(Number),
+      }),
+    ])
+    const items = []
+    for (let i = 0; i < 5000; i ++) {
+      items.push({ id: i, name: 'name' + i, tags: ['a', 'b'] })
+    }
+
+    const validate = SomeList.compile()
+    expect(validate(items)).toBeNull()
+    expect(SomeList.catch(items)).toBeNull()
+
+    items[4999] = { id: 1.1, name: 'a', tags: [1] }
+    expect(summarize(validate(items))).toEqual(summarize(SomeList.catch(items)))
+  })
+})
@@ -0,0 +1,85 @@
+import {
+  Dict, List, Tuple, Enum, Type, TyError,
+  Int,
+  ifexist, withDefault, lazy,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('defaults', () => {
+  const Query = new Dict({
+    keyword: String,
+    page: withDefault(Int, 1),
+    size: withDefault(Int, 10),
+    tags: withDefault([String], () => []),
+    order: {
+      by: withDefault(String, 'id'),
+      desc: Boolean,
+    },
+    filter: ifexist({ status: withDefault(String, 'active') }),
+  })
+
+  test('withDefault', () => {
+    expect(Query.test({ keyword: 'a', order: { desc: true } })).toBe(true)
+    expect(Query.test({ keyword: 'a', page: '1', order: { desc: true } })).toBe(false)
+  })
+
+  test('defaults', () => {
+    const value = Query.defaults()
+    expect(value).toEqual({ page: 1, size: 10, tags: [], order: { by: 'id' } })
+    // a new value each time
+    expect(Query.defaults().tags).not.toBe(value.tags)
+
+    expect(new Dict({ name: String }).defaults()).toEqual({})
+    expect(new Type(withDefault(Number, 0)).defaults()).toBe(0)
+    expect(new Type(Number).defaults()).toBeUndefined()
+  })
+
+  test('parse', () => {
+    const value = { keyword: 'a', size: 20, order: { desc: true }, filter: {} }
+    const output = Query.parse(value)
+    expect(output).toEqual({
+      keyword: 'a',
+      page: 1,
+      size: 20,
+      tags: [],
+      order: { by: 'id', desc: true },
+      filter: { status: 'active' },
+    })
+    // original value is not changed
+    expect(value).toEqual({ keyword: 'a', size: 20, order: { desc: true }, filter: {} })
+
+    expect(() => Query.parse({ page: 1, order: { desc: true } })).toThrowError(TyError)
+    expect(() => Query.parse({ keyword: 'a' })).toThrowError('$.order.desc is missing.')
+  })
+
+  test('nested types', () => {
+    const Item = new Dict({ name: String, count: withDefault(Number, 0) })
+    expect(new List([Item]).parse([{ name: 'a' }])).toEqual([{ name: 'a', count: 0 }])
+    expect(new Tuple([String, withDefault(Number, 0)]).parse(['a'])).toEqual(['a', 0])
+    expect(new Enum([Number, Item]).parse({ name: 'a' })).toEqual({ name: 'a', count: 0 })
+
+    const Node = new Dict({
+      name: String,
+      visible: withDefault(Boolean, true),
+      children: [lazy(() => Node)],
+    })
+    expect(Node.defaults()).toEqual({ visible: true })
+    expect(Node.parse({ name: 'a', children: [{ name: 'b', children: [] }] })).toEqual({
+      name: 'a',
+      visible: true,
+      children: [{ name: 'b', visible: true, children: [] }],
+    })
+  })
+
+  test('JSON Schema and TypeScript', () => {
+    const SomeDict = new Dict({ page: withDefault(Int, 1) })
+    expect(SomeDict.toJSONSchema()).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: { page: { type: 'integer', default: 1 } },
+    })
+    expect(Ty.toTypeScript(SomeDict, { name: 'Some' })).toBe('export interface Some {\n  page?: number;\n}')
+    expect(SomeDict.describe()).toBe('{ page?: Int }')
+    expect(Ty.parseDefinition(JSON.stringify(SomeDict.toDefinition())).defaults()).toEqual({ page: 1 })
+  })
+})
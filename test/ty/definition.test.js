@@ -0,0 +1,158 @@
+import {
+  Dict, List, Tuple, Enum, Range, Mapping, MapOf, SetOf, Type, Prototype,
+  Int, Email, StringOf,
+  ifexist, nullable, equal, match, shouldmatch, ifnotmatch, instance, lambda, asynch, determine, rest, lazy,
+  Ty,
+} from '../../src/ty/index.js'
+
+// serialize and restore through JSON string
+const restore = type => Ty.parseDefinition(JSON.stringify(type.toDefinition()))
+
+describe('Definition', () => {
+  test('prototypes and values', () => {
+    expect(new Type(Int).toDefinition()).toEqual({
+      version: 1,
+      definition: { type: 'Type', pattern: { prototype: 'Int' } },
+    })
+    expect(new Type(Date).toDefinition().definition.pattern).toEqual({ prototype: 'Date' })
+    expect(new Type(NaN).toDefinition().definition.pattern).toEqual({ prototype: 'NaN' })
+    expect(new Type(/^a/i).toDefinition().definition.pattern).toEqual({ regexp: '^a', flags: 'i' })
+    expect(new Type('a').toDefinition().definition.pattern).toEqual({ value: 'a' })
+
+    const Username = StringOf({ min: 3, pattern: /^[a-z]+$/ })
+    expect(new Type(Username).toDefinition().definition.pattern).toEqual({
+      prototype: 'StringOf',
+      options: { min: 3, pattern: { regexp: '^[a-z]+$', flags: '' } },
+    })
+
+    const SomeType = restore(new Type(Username))
+    expect(SomeType.test('abc')).toBe(true)
+    expect(SomeType.test('ab')).toBe(false)
+    expect(restore(new Type(NaN)).test(NaN)).toBe(true)
+  })
+
+  test('Dict and rules', () => {
+    const SomeDict = new Dict({
+      name: String,
+      email: ifexist(Email),
+      note: nullable(String),
+      kind: equal('person'),
+      age: match([Int, shouldmatch(new Range({ min: 0, max: 150 }), 'invalid age')]),
+      level: ifnotmatch(Number, 0),
+      born: instance(Date),
+      tags: [String],
+    })
+    const json = JSON.stringify(SomeDict.toDefinition())
+    const RestoredDict = Ty.parseDefinition(json)
+
+    expect(RestoredDict).toBeInstanceOf(Dict)
+    expect(JSON.stringify(RestoredDict.toDefinition())).toBe(json)
+    expect(RestoredDict.toDefinition().definition.pattern.email).toEqual({ rule: 'ifexist', pattern: { prototype: 'Email' } })
+
+    // JSON.stringify invokes toJSON
+    expect(SomeDict.toJSON()).toEqual(SomeDict.toDefinition())
+    expect(JSON.stringify(SomeDict)).toBe(json)
+    expect(JSON.stringify(Ty.parseDefinition(JSON.stringify(SomeDict)))).toBe(json)
+
+    const value = { name: 'a', note: null, kind: 'person', age: 10, born: new Date(), tags: [] }
+    expect(RestoredDict.test(value)).toBe(true)
+    expect(RestoredDict.test({ ...value, kind: 'pet' })).toBe(false)
+    expect(RestoredDict.catch({ ...value, age: 200 }).message).toBe('invalid age')
+
+    const data = { ...value, level: 'x' }
+    expect(RestoredDict.test(data)).toBe(true)
+    expect(data.level).toBe(0)
+  })
+
+  test('types', () => {
+    const types = [
+      new List([Number], { min: 1, unique: true }),
+      new Tuple([String, rest(Number)]),
+      new Enum(['a', 'b']),
+      Enum.by('kind', { a: { kind: 'a', size: Number } }),
+      new Range({ min: new Date('2020-01-01'), max: Infinity, minBound: false }),
+      new Range({ min: BigInt(1), max: BigInt(10) }),
+      new Mapping({ key: String, value: Number }),
+      new MapOf({ key: String, value: Number }),
+      new SetOf(Int),
+      new Dict({ fn: lambda([Number], String) }),
+    ]
+    types.forEach((type) => {
+      const json = JSON.stringify(type.toDefinition())
+      const restored = Ty.parseDefinition(json)
+      expect(restored.name).toBe(type.name)
+      expect(JSON.stringify(restored.toDefinition())).toBe(json)
+    })
+
+    expect(restore(types[0]).test([1, 1])).toBe(false)
+    expect(restore(types[1]).test(['a', 1, 2])).toBe(true)
+    expect(restore(types[3]).catch({ kind: 'b' }).traces[0].type).toBe('unknown')
+    expect(restore(types[4]).test(new Date('2020-01-01'))).toBe(false)
+    expect(restore(types[4]).test(new Date('2021-01-01'))).toBe(true)
+    expect(restore(types[5]).test(BigInt(5))).toBe(true)
+    expect(restore(types[8]).test(new Set([1, 2]))).toBe(true)
+  })
+
+  test('strict', () => {
+    const SomeDict = new Dict({ name: String, child: new Dict({ name: String }) }).toBeStrict()
+    expect(SomeDict.toDefinition().definition.strict).toBe(true)
+
+    const RestoredDict = restore(SomeDict)
+    expect(RestoredDict.isStrict).toBe(true)
+    expect(RestoredDict.test({ name: 'a', child: { name: 'b', age: 1 } })).toBe(false)
+  })
+
+  test('lazy', () => {
+    const Node = new Dict({
+      name: String,
+      children: [lazy(() => Node)],
+    })
+    const definition = Node.toDefinition()
+    expect(definition.definition.pattern.children).toEqual({ array: [{ type: 'Lazy', ref: '0' }] })
+    expect(definition.definitions['0'].type).toBe('Dict')
+
+    const RestoredNode = restore(Node)
+    expect(RestoredNode.test({ name: 'a', children: [{ name: 'b', children: [] }] })).toBe(true)
+    expect(RestoredNode.test({ name: 'a', children: [{ name: 1, children: [] }] })).toBe(false)
+  })
+
+  test('registered prototypes', () => {
+    class Money {}
+    expect(() => new Type(Money).toDefinition()).toThrowError('[Definition]: prototype `Money` is not registered')
+
+    Prototype.register(Money, value => value instanceof Money)
+    expect(new Type(Money).toDefinition().definition.pattern).toEqual({ prototype: 'Money' })
+    expect(restore(new Type(Money)).test(new Money())).toBe(true)
+
+    const Even = new Prototype({ name: 'Even', validate: value => value % 2 === 0 })
+    Prototype.register(Even, null, 'even')
+    expect(new Type(Even).toDefinition().definition.pattern).toEqual({ prototype: 'even' })
+    expect(restore(new Type(Even)).test(2)).toBe(true)
+
+    Prototype.unregister(Money)
+    Prototype.unregister(Even)
+    expect(() => Ty.parseDefinition({ version: 1, definition: { prototype: 'Money' } })).toThrowError('[Definition]: prototype `Money` is not registered.')
+  })
+
+  test('can not be serialized', () => {
+    expect(() => new Dict({ some: asynch(() => String) }).toDefinition()).toThrowError('rule `asynch` can not be serialized')
+    expect(() => new Dict({ some: determine(() => true, String, Number) }).toDefinition()).toThrowError('rule `determine` can not be serialized')
+    expect(() => new Dict({ some: ifnotmatch(Number, () => 0) }).toDefinition()).toThrowError('callback should be a value')
+    expect(() => new List([Number], { unique: item => item }).toDefinition()).toThrowError('option `unique` of List can not be serialized')
+    expect(() => new Type(Symbol('a')).toDefinition()).toThrowError('can not be serialized')
+
+    class SomeType extends Type {}
+    expect(() => new SomeType(String).toDefinition()).toThrowError('type `Type` can not be serialized')
+
+    // JSON.stringify writes the description instead
+    expect(JSON.parse(JSON.stringify({ type: new SomeType(String) }))).toEqual({ type: 'String' })
+    expect(JSON.parse(JSON.stringify(new Dict({ some: asynch(() => String) })))).toBe('{ some: asynch(Any) }')
+  })
+
+  test('invalid', () => {
+    expect(() => Ty.parseDefinition({ version: 2, definition: {} })).toThrowError('version `2` is not supported')
+    expect(() => Ty.parseDefinition({ version: 1 })).toThrowError()
+    expect(() => Ty.parseDefinition({ version: 1, definition: { type: 'Some' } })).toThrowError('type `Some` is not supported')
+    expect(() => Ty.parseDefinition({ version: 1, definition: { type: 'Lazy', ref: 'a' } })).toThrowError('ref `a` is not defined')
+  })
+})
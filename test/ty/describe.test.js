@@ -0,0 +1,82 @@
+import {
+  Dict, List, Tuple, Enum, Range, Mapping, MapOf, SetOf, Type,
+  Int, StringOf,
+  ifexist, nullable, equal, match, lambda, rest, lazy,
+  TyError,
+} from '../../src/ty/index.js'
+
+describe('describe', () => {
+  test('prototypes and values', () => {
+    expect(new Type(String).describe()).toBe('String')
+    expect(new Type(Int).describe()).toBe('Int')
+    expect(new Type(StringOf({ min: 1 })).describe()).toBe('StringOf(1,)')
+    expect(new Type(NaN).describe()).toBe('NaN')
+    expect(new Type(/^a/i).describe()).toBe('/^a/i')
+    expect(new Type('a').describe()).toBe('"a"')
+    expect(new Type(null).describe()).toBe('null')
+  })
+
+  test('Dict', () => {
+    const SomeDict = new Dict({
+      name: String,
+      tags: [String],
+      meta: ifexist(new Mapping({ key: String, value: Number })),
+      'full-name': nullable(String),
+      kind: equal({ a: 1 }),
+    })
+    expect(SomeDict.describe()).toBe('{ name: String, tags: String[], meta?: { [String]: Number }, "full-name": String | Null, kind: { a: 1 } }')
+    expect(new Dict({}).describe()).toBe('{}')
+  })
+
+  test('types', () => {
+    expect(new List([String, Number]).describe()).toBe('(String | Number)[]')
+    expect(new List([nullable(String)]).describe()).toBe('(String | Null)[]')
+    expect(new List([]).describe()).toBe('Array')
+    expect(new Tuple([String, ifexist(Number), rest(Boolean)]).describe()).toBe('[String, Number?, ...Boolean[]]')
+    expect(new Enum(['a', 'b']).describe()).toBe('"a" | "b"')
+    expect(Enum.by('kind', { a: { kind: 'a' }, b: { kind: 'b' } }).describe()).toBe('{ kind: "a" } | { kind: "b" }')
+    expect(new Range({ min: 0, max: 10, maxBound: false }).describe()).toBe('Range[0, 10)')
+    expect(new Range({ min: 1, max: 3, of: 'length' }).describe()).toBe('Range<length>[1, 3]')
+    expect(new MapOf({ key: String, value: [Number] }).describe()).toBe('Map<String, Number[]>')
+    expect(new SetOf(Int).describe()).toBe('Set<Int>')
+    expect(new Type(match([Number, Int])).describe()).toBe('Number & Int')
+    expect(new Dict({ fn: lambda([Number, String], Boolean) }).describe()).toBe('{ fn: (Number, String) => Boolean }')
+  })
+
+  test('lazy', () => {
+    const Node = new Dict({
+      name: String,
+      children: [lazy(() => Node)],
+    })
+    expect(Node.describe()).toBe('{ name: String, children: [Circular][] }')
+  })
+
+  test('depth and indent', () => {
+    const SomeDict = new Dict({
+      name: String,
+      parent: { name: String, tags: [String] },
+    })
+    expect(SomeDict.describe({ depth: 1 })).toBe('{ name: String, parent: Object }')
+    expect(SomeDict.describe({ depth: 2 })).toBe('{ name: String, parent: { name: String, tags: Array } }')
+    expect(SomeDict.describe({ indent: 2 })).toBe([
+      '{',
+      '  name: String,',
+      '  parent: {',
+      '    name: String,',
+      '    tags: String[]',
+      '  }',
+      '}',
+    ].join('\n'))
+  })
+
+  test('error message', () => {
+    const SomeDict = new Dict({
+      child: new Dict({ name: String, tags: [String] }),
+    })
+    expect(SomeDict.catch({ child: 1 }).message).toBe('$.child should match `{ name: String, tags: String[] }`, but receive `1`.')
+
+    TyError.shouldBreakLongMessage = true
+    expect(SomeDict.catch({ child: 1 }).message).toBe('$.child should match `{\n  name: String,\n  tags: String[]\n}`, but receive `1`.')
+    TyError.shouldBreakLongMessage = false
+  })
+})
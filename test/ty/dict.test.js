@@ -1,4 +1,4 @@
-import { Dict } from '../../src/ty/index.js'
+import { Dict, List, Tuple, Enum, ifexist, shouldexist, nullable } from '../../src/ty/index.js'
 
 describe('Dict', () => {
   describe('assert', () => {
@@ -161,4 +161,110 @@ describe('Dict', () => {
       })
     })
   })
+  describe('algebra', () => {
+    const Address = new Dict({
+      city: String,
+      street: String,
+    })
+    const User = new Dict({
+      id: Number,
+      name: String,
+      note: ifexist(String),
+      email: shouldexist(data => !!data.name, String),
+      address: Address,
+      tags: [{ name: String }],
+    })
+
+    test('partial', () => {
+      const PartialUser = User.partial()
+      expect(PartialUser).toBeInstanceOf(Dict)
+      expect(PartialUser.test({})).toBe(true)
+      expect(PartialUser.test({ address: {} })).toBe(false)
+      expect(PartialUser.pattern.note).toBe(User.pattern.note)
+
+      const DeepPartialUser = User.partial({ deep: true })
+      expect(DeepPartialUser.test({ address: {}, tags: [{}] })).toBe(true)
+      expect(DeepPartialUser.test({ address: { city: 1 } })).toBe(false)
+    })
+    test('required', () => {
+      const RequiredUser = User.partial({ deep: true }).required({ deep: true })
+      const data = { id: 1, name: 'a', note: 'a', email: 'a', address: { city: 'a', street: 'b' }, tags: [{ name: 'a' }] }
+      expect(RequiredUser.test(data)).toBe(true)
+      expect(RequiredUser.test({ ...data, note: undefined })).toBe(false)
+      expect(RequiredUser.test({ ...data, address: { city: 'a' } })).toBe(false)
+      expect(User.required().pattern.email).toBe(String)
+    })
+    test('deep partial and required in List Tuple and Enum', () => {
+      const Item = new Dict({ name: String })
+      const SomeDict = new Dict({
+        list: new List([Item], { max: 1 }),
+        tuple: new Tuple([Item, Number]),
+        enum: new Enum([Item, String]),
+      }).strict
+
+      const PartialDict = SomeDict.partial({ deep: true })
+      expect(PartialDict.isStrict).toBe(true)
+      expect(PartialDict.test({ list: [{}], tuple: [{}, 1], enum: {} })).toBe(true)
+      expect(PartialDict.test({ list: [{}, {}] })).toBe(false)
+      expect(PartialDict.test({ enum: { name: 1 } })).toBe(false)
+      expect(PartialDict.test({ other: 1 })).toBe(false)
+
+      const RequiredDict = PartialDict.required({ deep: true })
+      expect(RequiredDict.test({ list: [{ name: 'a' }], tuple: [{ name: 'a' }, 1], enum: 'a' })).toBe(true)
+      expect(RequiredDict.test({ list: [{}], tuple: [{ name: 'a' }, 1], enum: 'a' })).toBe(false)
+      expect(RequiredDict.test({ list: [{ name: 'a' }], tuple: [{}, 1], enum: 'a' })).toBe(false)
+      expect(RequiredDict.test({ list: [{ name: 'a' }], tuple: [{ name: 'a' }, 1], enum: {} })).toBe(false)
+
+      // branches of discriminated Enum are kept
+      const Shape = Enum.by('kind', { circle: { kind: 'circle', r: Number } })
+      expect(new Dict({ shape: Shape }).partial({ deep: true }).pattern.shape.pattern).toBe(Shape)
+    })
+    test('pick', () => {
+      const SomeDict = User.pick(['id', 'address.city'])
+      expect(Object.keys(SomeDict.pattern)).toEqual(['id', 'address'])
+      expect(SomeDict.test({ id: 1, address: { city: 'a' } })).toBe(true)
+      expect(() => User.pick(['none'])).toThrowError()
+      expect(() => User.pick(['id.none'])).toThrowError()
+    })
+    test('omit', () => {
+      const SomeDict = User.omit(['email', 'note', 'tags', 'address.street'])
+      expect(Object.keys(SomeDict.pattern)).toEqual(['id', 'name', 'address'])
+      expect(SomeDict.test({ id: 1, name: 'a', address: { city: 'a' } })).toBe(true)
+      expect(() => User.omit(['none'])).toThrowError()
+
+      const NullableDict = new Dict({ some: nullable(Address) }).omit(['some.street'])
+      expect(NullableDict.test({ some: { city: 'a' } })).toBe(true)
+      expect(NullableDict.test({ some: null })).toBe(true)
+    })
+    test('intersect', () => {
+      const SomeDict = Dict.intersect(
+        new Dict({ id: Number, note: ifexist(String), address: { city: String } }),
+        { name: String, note: ifexist(String), address: new Dict({ street: String }) },
+      )
+      expect(Object.keys(SomeDict.pattern)).toEqual(['id', 'note', 'address', 'name'])
+      expect(SomeDict.test({ id: 1, name: 'a', address: { city: 'a', street: 'b' } })).toBe(true)
+      expect(SomeDict.test({ id: 1, name: 'a', address: { city: 'a' } })).toBe(false)
+
+      expect(() => Dict.intersect(User, { id: String })).toThrowError('`id`')
+      expect(() => Dict.intersect(User, { address: { city: Number } })).toThrowError('`address.city`')
+      expect(() => Dict.intersect(User, [])).toThrowError()
+      expect(() => Dict.intersect()).toThrowError('[Dict]: intersect needs at least one Dict or object.')
+    })
+    test('intersect keeps class and strict mode', () => {
+      class SomeDict extends Dict {}
+      const Address = new SomeDict({ city: String }).strict
+      const Merged = Dict.intersect({ address: Address }, { address: { street: String } })
+      expect(Merged.isStrict).toBe(false)
+      expect(Merged.pattern.address).toBeInstanceOf(SomeDict)
+      expect(Merged.pattern.address.isStrict).toBe(true)
+      expect(Merged.test({ address: { city: 'a', street: 'b' } })).toBe(true)
+      expect(Merged.test({ address: { city: 'a', street: 'b', other: 1 } })).toBe(false)
+
+      const StrictMerged = SomeDict.intersect(new Dict({ id: Number }).strict, { name: String })
+      expect(StrictMerged).toBeInstanceOf(SomeDict)
+      expect(StrictMerged.isStrict).toBe(true)
+      expect(StrictMerged.test({ id: 1, name: 'a' })).toBe(true)
+      expect(StrictMerged.test({ id: 1, name: 'a', other: 1 })).toBe(false)
+    })
+  })
 })
@@ -1,4 +1,4 @@
-import { Enum } from '../../src/ty/index.js'
+import { Enum, Dict, equal } from '../../src/ty/index.js'
 
 describe('Enum', () => {
   describe('assert', () => {
@@ -28,6 +28,37 @@ describe('Enum', () => {
       expect(EnumType.catch('black')).toBeInstanceOf(Error)
     })
   })
+  describe('by', () => {
+    const Shape = Enum.by('kind', {
+      circle: new Dict({ kind: 'circle', radius: Number }),
+      square: new Dict({ kind: equal('square'), size: Number }),
+    })
+    test('select branch by tag', () => {
+      expect(Shape.test({ kind: 'circle', radius: 1 })).toBe(true)
+      expect(Shape.test({ kind: 'square', size: 1 })).toBe(true)
+
+      const error = Shape.catch({ kind: 'circle', size: 1 })
+      expect(error.traces).toHaveLength(1)
+      expect(error.message).toBe('$.radius is missing.')
+    })
+    test('unknown tag', () => {
+      const error = Shape.catch({ kind: 'triangle' })
+      expect(error.traces[0]).toMatchObject({ type: 'unknown', keyPath: ['kind'] })
+      expect(error.message).toBe('$.kind receive unknown tag `"triangle"`, should be one of `"circle" | "square"`.')
+      expect(Shape.test({ kind: 'toString' })).toBe(false)
+      expect(Shape.test(null)).toBe(false)
+    })
+    test('strict', () => {
+      expect(Shape.test({ kind: 'circle', radius: 1, size: 1 })).toBe(true)
+      expect(Shape.Strict.test({ kind: 'circle', radius: 1, size: 1 })).toBe(false)
+    })
+    test('compile mock coerce', () => {
+      const value = { kind: 'triangle' }
+      expect(Shape.compile()(value).message).toBe(Shape.catch(value).message)
+      expect(Shape.test(Shape.mock({ seed: 1 }))).toBe(true)
+      expect(Shape.coerce({ kind: 'circle', radius: '1' }).value).toEqual({ kind: 'circle', radius: 1 })
+    })
+  })
   describe('trace', () => {
     test('basic', (done) => {
       const EnumType = new Enum(['red', 'blue', 'yellow'])
@@ -0,0 +1,78 @@
+import {
+  Dict, List, Generic, generic, brand, TyError,
+  Int,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('Generic', () => {
+  const User = generic('User', () => ({ name: String }))()
+  const Paged = generic('Paged', T => ({ data: [T], total: Number, page: Int }))
+  const Pair = generic(function Pair(K, V) {
+    return new List([K, V])
+  })
+
+  test('instantiate', () => {
+    const PagedUsers = Paged(User)
+    expect(PagedUsers).toBeInstanceOf(Generic)
+    expect(PagedUsers.alias).toBe('Paged<User>')
+    expect(String(PagedUsers)).toBe('Paged<User>')
+    // cached
+    expect(Paged(User)).toBe(PagedUsers)
+    expect(Paged(String)).not.toBe(PagedUsers)
+
+    expect(PagedUsers.test({ data: [{ name: 'a' }], total: 1, page: 1 })).toBe(true)
+    expect(PagedUsers.test({ data: [{ name: 1 }], total: 1, page: 1 })).toBe(false)
+
+    expect(Pair(String, Number).alias).toBe('Pair<String, Number>')
+    expect(Pair(String, Number)).toBe(Pair(String, Number))
+    expect(Paged(Paged(User)).alias).toBe('Paged<Paged<User>>')
+    expect(generic(T => [T])(String).alias).toBe('Generic<String>')
+    expect(generic('Named', T => T)({ id: Number }).alias).toBe('Named<{ id: Number }>')
+  })
+
+  test('argument names', () => {
+    const UserDict = new Dict({ name: String })
+    expect(Paged(UserDict).alias).toBe('Paged<{ name: String }>')
+
+    const NamedUser = new Dict({ name: String })
+    NamedUser.alias = 'User'
+    expect(Paged(NamedUser).alias).toBe('Paged<User>')
+    expect(Paged(NamedUser).test({ data: [{ name: 'a' }], total: 1, page: 1 })).toBe(true)
+
+    const UserId = brand('UserId', String)
+    expect(Paged(UserId).alias).toBe('Paged<UserId>')
+    expect(Pair(UserId, NamedUser).alias).toBe('Pair<UserId, User>')
+
+    expect(() => generic('Some')).toThrowError('[Generic]: factory should be a function.')
+  })
+
+  test('error messages', () => {
+    const PagedUsers = Paged(User)
+    expect(() => PagedUsers.assert(1)).toThrowError('$. should match `Paged<User>`, but receive `1`.')
+    expect(() => new Dict({ users: PagedUsers }).assert({ users: null })).toThrowError('$.users should match `Paged<User>`, but receive `null`.')
+    expect(() => PagedUsers.assert({ data: [1], total: 1, page: 1 })).toThrowError('$.data[0] recieve `1` did not match `User` in enum.')
+    expect(() => PagedUsers.assert({ data: [], total: 1 })).toThrowError('$.page is missing.')
+    expect(() => PagedUsers.assert({ data: [], total: 1, page: 1, x: 1 })).not.toThrowError()
+    expect(() => PagedUsers.strict.assert({ data: [], total: 1, page: 1, x: 1 })).toThrowError(TyError)
+  })
+
+  test('describe', () => {
+    expect(Paged(User).describe()).toBe('Paged<User>')
+    expect(new Dict({ users: Paged(User), pair: Pair(String, Int) }).describe()).toBe('{ users: Paged<User>, pair: Pair<String, Int> }')
+  })
+
+  test('other features', () => {
+    const PagedUsers = Paged(User)
+    expect(Ty.isSubtype(PagedUsers, { data: Array, total: Number, page: Number }).passed).toBe(true)
+    expect(Ty.toTypeScript(Paged(String), { name: 'PagedStrings' })).toBe([
+      'export interface PagedStrings {',
+      '  data: string[];',
+      '  total: number;',
+      '  page: number;',
+      '}',
+    ].join('\n'))
+    expect(PagedUsers.clean({ data: [{ name: 'a', age: 1 }], total: 1, page: 1 }).value).toEqual({ data: [{ name: 'a' }], total: 1, page: 1 })
+    expect(PagedUsers.test(PagedUsers.mock())).toBe(true)
+    expect(Ty.parseDefinition(JSON.stringify(PagedUsers.toDefinition())).describe()).toBe('{ data: { name: String }[], total: Number, page: Int }')
+  })
+})
@@ -0,0 +1,100 @@
+import {
+  Dict, List, TyError,
+  Int,
+  ifexist,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('guard', () => {
+  const Config = new Dict({
+    port: Int,
+    host: ifexist(String),
+    db: {
+      name: String,
+      replicas: [String],
+    },
+  })
+  const create = () => ({ port: 80, db: { name: 'main', replicas: ['a'] } })
+
+  test('write', () => {
+    const config = Ty.guard(create(), Config)
+    config.port = 8080
+    expect(config.port).toBe(8080)
+
+    expect(() => { config.port = '80' }).toThrowError(TyError)
+    expect(config.port).toBe(8080)
+
+    config.host = 'localhost'
+    expect(() => { config.host = 1 }).toThrowError(TyError)
+    expect(config.host).toBe('localhost')
+    delete config.host
+    expect('host' in config).toBe(false)
+
+    expect(() => { config.host = null }).toThrowError(TyError)
+    expect('host' in config).toBe(false)
+    expect(() => { delete config.port }).toThrowError(TyError)
+    expect(config.port).toBe(8080)
+
+    expect(() => Ty.guard({ port: '80' }, Config)).toThrowError(TyError)
+  })
+
+  test('nested', () => {
+    const origin = create()
+    const config = Ty.guard(origin, Config)
+    expect(config.db).toBe(config.db)
+
+    config.db.name = 'backup'
+    expect(origin.db.name).toBe('backup')
+    expect(() => { config.db.name = 1 }).toThrowError('$.db.name')
+    expect(config.db.name).toBe('backup')
+
+    expect(() => { config.db = { name: 'x' } }).toThrowError(TyError)
+    expect(config.db.name).toBe('backup')
+
+    config.db = { name: 'other', replicas: [] }
+    expect(origin.db).toEqual({ name: 'other', replicas: [] })
+  })
+
+  test('array', () => {
+    const config = Ty.guard(create(), Config)
+    const { replicas } = config.db
+
+    expect(replicas.push('b', 'c')).toBe(3)
+    expect(() => replicas.push(1)).toThrowError('$.db.replicas[3]')
+    expect(replicas).toEqual(['a', 'b', 'c'])
+
+    replicas.splice(1, 1)
+    expect(replicas).toEqual(['a', 'c'])
+    expect(() => replicas.splice(0, 1, null)).toThrowError(TyError)
+    expect(replicas).toEqual(['a', 'c'])
+
+    expect(replicas.reverse()).toBe(replicas)
+    expect(replicas).toEqual(['c', 'a'])
+
+    replicas[2] = 'd'
+    expect(() => { replicas[3] = 4 }).toThrowError(TyError)
+    expect(replicas).toEqual(['c', 'a', 'd'])
+
+    replicas.length = 1
+    expect(replicas).toEqual(['c'])
+
+    const list = Ty.guard([1, 2], new List([Number], { min: 1 }))
+    expect(() => { list.length = 0 }).toThrowError(TyError)
+    expect(list).toEqual([1, 2])
+  })
+
+  test('bind', async () => {
+    const ty = new Ty()
+    const errors = []
+    ty.bind(error => errors.push(error))
+    ty.silent(true)
+
+    const config = ty.guard(create(), Config)
+    config.port = 'x'
+    expect(config.port).toBe(80)
+
+    await Promise.resolve()
+    expect(errors.length).toBe(1)
+    expect(errors[0]).toBeInstanceOf(TyError)
+  })
+})
@@ -0,0 +1,287 @@
+import {
+  Dict, List, Tuple, Enum, Range, Mapping, Type, Lazy,
+  Int, Natural, String16, Null, Any, Numeric,
+  ifexist, nullable, equal, match, shouldmatch, lambda, asynch, rest,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('JSON Schema', () => {
+  test('prototypes', () => {
+    expect(new Type(Int).toJSONSchema()).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'integer',
+    })
+    expect(new Type(Natural).toJSONSchema({ draft: '2020-12' })).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'integer',
+      minimum: 0,
+    })
+    expect(new Type(String16).toJSONSchema()).toMatchObject({ type: 'string', maxLength: 16 })
+    expect(new Type(Null).toJSONSchema()).toMatchObject({ type: 'null' })
+    expect(new Type(Any).toJSONSchema()).toEqual({ $schema: 'http://json-schema.org/draft-07/schema#' })
+    expect(new Type(/^a/).toJSONSchema()).toMatchObject({ type: 'string', pattern: '^a' })
+    expect(new Type('value').toJSONSchema()).toMatchObject({ const: 'value' })
+  })
+  test('Dict', () => {
+    const SomeDict = new Dict({
+      name: String,
+      age: ifexist(Number),
+      note: nullable(String),
+      kind: equal('person'),
+      tags: [String],
+      parent: new Dict({ name: String }),
+    })
+    const schema = SomeDict.toJSONSchema()
+    expect(schema).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'number' },
+        note: { type: ['string', 'null'] },
+        kind: { const: 'person' },
+        tags: { type: 'array', items: { type: 'string' } },
+        parent: {
+          type: 'object',
+          properties: { name: { type: 'string' } },
+          required: ['name'],
+        },
+      },
+      required: ['name', 'note', 'kind', 'tags', 'parent'],
+    })
+    expect(SomeDict.Strict.toJSONSchema().additionalProperties).toBe(false)
+    expect(SomeDict.Strict.toJSONSchema().properties.parent.additionalProperties).toBe(false)
+  })
+  test('List', () => {
+    expect(new List([String, Number]).toJSONSchema()).toMatchObject({
+      type: 'array',
+      items: { anyOf: [{ type: 'string' }, { type: 'number' }] },
+    })
+    expect(new List([String], { min: 1, max: 3, unique: true }).toJSONSchema()).toMatchObject({
+      type: 'array',
+      minItems: 1,
+      maxItems: 3,
+      uniqueItems: true,
+    })
+    expect(new List([Object], { unique: 'id', sorted: true }).toJSONSchema().$comment).toBe('tyshemo: unique by key can not be expressed; tyshemo: sorted items can not be expressed')
+  })
+  test('Tuple', () => {
+    const SomeTuple = new Tuple([String, ifexist(Number)])
+    expect(SomeTuple.toJSONSchema()).toMatchObject({
+      type: 'array',
+      items: [{ type: 'string' }, { type: 'number' }],
+      minItems: 1,
+    })
+    expect(SomeTuple.Strict.toJSONSchema({ draft: '2020-12' })).toMatchObject({
+      type: 'array',
+      prefixItems: [{ type: 'string' }, { type: 'number' }],
+      items: false,
+      minItems: 1,
+      maxItems: 2,
+    })
+    expect(new Tuple([String, rest(Number)]).toJSONSchema({ draft: '2020-12' })).toMatchObject({
+      prefixItems: [{ type: 'string' }],
+      items: { type: 'number' },
+      minItems: 1,
+    })
+    expect(new Tuple([String, rest(Number)]).toJSONSchema()).toMatchObject({
+      items: [{ type: 'string' }],
+      additionalItems: { type: 'number' },
+    })
+  })
+  test('Enum', () => {
+    expect(new Enum(['red', 'blue']).toJSONSchema()).toMatchObject({ enum: ['red', 'blue'] })
+    expect(new Enum([String, Null]).toJSONSchema()).toMatchObject({ anyOf: [{ type: 'string' }, { type: 'null' }] })
+  })
+  test('Range', () => {
+    expect(new Range({ min: 0, max: 100, maxBound: false }).toJSONSchema()).toMatchObject({
+      type: 'number',
+      minimum: 0,
+      exclusiveMaximum: 100,
+    })
+  })
+  test('Mapping', () => {
+    expect(new Mapping({ key: Numeric, value: Number }).toJSONSchema()).toMatchObject({
+      type: 'object',
+      propertyNames: { type: 'string' },
+      additionalProperties: { type: 'number' },
+    })
+  })
+  test('match', () => {
+    const SomeDict = new Dict({
+      some: match([shouldmatch(String, 'should be string'), shouldmatch(Numeric, 'should be numeric')]),
+    })
+    expect(SomeDict.toJSONSchema().properties.some).toMatchObject({
+      allOf: [{ type: 'string' }, { type: 'string' }],
+    })
+  })
+  test('report unsupported', () => {
+    const reports = []
+    const SomeDict = new Dict({
+      fn: lambda([Number], Number),
+      some: asynch(() => String),
+      sym: Symbol,
+    })
+    const schema = SomeDict.toJSONSchema({ report: item => reports.push(item) })
+    expect(schema.properties.fn.$comment).toBeDefined()
+    expect(reports.map(item => item.keyPath)).toEqual([['fn'], ['some'], ['sym']])
+    expect(reports.map(item => item.name)).toEqual(['lambda', 'asynch', 'Symbol'])
+  })
+  test('unknown draft', () => {
+    expect(() => new Type(Number).toJSONSchema({ draft: 'draft-04' })).toThrowError()
+  })
+})
+
+describe('fromJSONSchema', () => {
+  test('object', () => {
+    const SomeType = Ty.fromJSONSchema({
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 16 },
+        age: { type: 'integer', minimum: 0 },
+        note: { type: ['string', 'null'] },
+        score: { type: 'number', minimum: 0, exclusiveMaximum: 100 },
+        kind: { enum: ['a', 'b'] },
+      },
+      required: ['name', 'age', 'note'],
+    })
+    expect(SomeType).toBeInstanceOf(Dict)
+    expect(SomeType.pattern.name).toBe(String16)
+    expect(SomeType.pattern.age).toBe(Natural)
+    expect(SomeType.test({ name: 'tomy', age: 10, note: null })).toBe(true)
+    expect(SomeType.test({ name: 'tomy', age: 10, note: 'x', score: 50, kind: 'a' })).toBe(true)
+    expect(SomeType.test({ name: 'tomy', age: 10 })).toBe(false)
+    expect(SomeType.test({ name: 'tomy', age: 10, note: null, score: 100 })).toBe(false)
+    expect(SomeType.test({ name: 'tomy', age: 10, note: null, kind: 'c' })).toBe(false)
+    expect(SomeType.test({ name: 'tomy', age: -1, note: null })).toBe(false)
+  })
+  test('additionalProperties', () => {
+    const SomeType = Ty.fromJSONSchema({
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'number' },
+      },
+      required: ['name'],
+      additionalProperties: false,
+    })
+    expect(SomeType.test({ name: 'tomy' })).toBe(true)
+    expect(SomeType.test({ name: 'tomy', other: 1 })).toBe(false)
+
+    const SomeMapping = Ty.fromJSONSchema({
+      type: 'object',
+      additionalProperties: { type: 'number' },
+    })
+    expect(SomeMapping).toBeInstanceOf(Mapping)
+    expect(SomeMapping.test({ a: 1, b: 2 })).toBe(true)
+    expect(SomeMapping.test({ a: '1' })).toBe(false)
+  })
+  test('array', () => {
+    const SomeList = Ty.fromJSONSchema({ type: 'array', items: { type: 'string' } })
+    expect(SomeList).toBeInstanceOf(List)
+    expect(SomeList.test(['a', 'b'])).toBe(true)
+    expect(SomeList.test(['a', 1])).toBe(false)
+
+    const SomeTuple = Ty.fromJSONSchema({
+      type: 'array',
+      prefixItems: [{ type: 'string' }, { type: 'integer' }],
+      minItems: 1,
+    })
+    expect(SomeTuple).toBeInstanceOf(Tuple)
+    expect(SomeTuple.test(['a', 1])).toBe(true)
+    expect(SomeTuple.test(['a'])).toBe(true)
+    expect(SomeTuple.test(['a', 1.1])).toBe(false)
+
+    const RestTuple = Ty.fromJSONSchema({
+      type: 'array',
+      prefixItems: [{ type: 'string' }],
+      items: { type: 'boolean' },
+    })
+    expect(RestTuple.test(['a', true, false])).toBe(true)
+    expect(RestTuple.test(['a', true, 1])).toBe(false)
+
+    const UniqueList = Ty.fromJSONSchema({ type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true })
+    expect(UniqueList.test(['a', 'b'])).toBe(true)
+    expect(UniqueList.test([])).toBe(false)
+    expect(UniqueList.test(['a', 'a'])).toBe(false)
+  })
+  test('$ref', () => {
+    const SomeType = Ty.fromJSONSchema({
+      $defs: {
+        person: {
+          type: 'object',
+          properties: { name: { type: 'string' } },
+          required: ['name'],
+        },
+      },
+      type: 'object',
+      properties: {
+        father: { $ref: '#/$defs/person' },
+        children: { type: 'array', items: { $ref: '#/$defs/person' } },
+      },
+      required: ['father', 'children'],
+    })
+    expect(SomeType.pattern.father).toBeInstanceOf(Dict)
+    expect(SomeType.pattern.father).toBe(SomeType.pattern.children.pattern[0])
+    expect(SomeType.test({ father: { name: 'a' }, children: [{ name: 'b' }] })).toBe(true)
+    expect(SomeType.test({ father: { name: 'a' }, children: [{}] })).toBe(false)
+
+    expect(() => Ty.fromJSONSchema({ $ref: '#/definitions/none' })).toThrowError()
+  })
+  test('circular $ref', () => {
+    const Nested = Ty.fromJSONSchema({
+      definitions: { node: { type: 'array', items: { $ref: '#/definitions/node' } } },
+      $ref: '#/definitions/node',
+    })
+    expect(Nested.test([[], [[]]])).toBe(true)
+    expect(Nested.test([[1]])).toBe(false)
+
+    const Tree = Ty.fromJSONSchema({
+      $defs: {
+        node: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            children: { type: 'array', items: { $ref: '#/$defs/node' } },
+          },
+          required: ['name'],
+        },
+      },
+      $ref: '#/$defs/node',
+    })
+    expect(Tree).toBeInstanceOf(Dict)
+    expect(Tree.pattern.children.pattern.pattern[0]).toBeInstanceOf(Lazy)
+    expect(Tree.pattern.children.pattern.pattern[0].resolve()).toBe(Tree)
+    expect(Tree.test({ name: 'a', children: [{ name: 'b', children: [{ name: 'c' }] }] })).toBe(true)
+    expect(() => Tree.assert({ name: 'a', children: [{ name: 'b', children: [{ name: 1 }] }] })).toThrowError('$.children[0].children[0].name')
+  })
+  test('anyOf and allOf', () => {
+    const SomeEnum = Ty.fromJSONSchema({ anyOf: [{ type: 'string' }, { type: 'number' }] })
+    expect(SomeEnum).toBeInstanceOf(Enum)
+    expect(SomeEnum.test('a')).toBe(true)
+    expect(SomeEnum.test(null)).toBe(false)
+
+    const SomeType = Ty.fromJSONSchema({
+      allOf: [
+        { type: 'object', properties: { a: { type: 'string' } }, required: ['a'] },
+        { type: 'object', properties: { b: { type: 'number' } }, required: ['b'] },
+      ],
+    })
+    expect(SomeType).toBeInstanceOf(Dict)
+    expect(SomeType.test({ a: 'a', b: 1 })).toBe(true)
+    expect(SomeType.test({ a: 'a' })).toBe(false)
+  })
+  test('round trip', () => {
+    const SomeDict = new Dict({
+      name: String,
+      age: ifexist(Int),
+      tags: [String],
+      range: new Range({ min: 0, max: 10 }),
+    })
+    const SomeType = Ty.fromJSONSchema(SomeDict.toJSONSchema())
+    const data = { name: 'a', age: 1, tags: ['a'], range: 5 }
+    expect(SomeType.test(data)).toBe(true)
+    expect(SomeType.test({ ...data, age: 1.1 })).toBe(false)
+    expect(SomeType.test({ ...data, range: 11 })).toBe(false)
+  })
+})
@@ -0,0 +1,123 @@
+import {
+  Dict, List, Tuple, Enum, Lazy, TyError,
+  ifexist, nullable, lazy,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('Lazy', () => {
+  const Node = new Dict({
+    name: String,
+    children: [lazy(() => Node)],
+  })
+
+  test('tree', () => {
+    expect(Node.test({ name: 'a', children: [] })).toBe(true)
+    expect(Node.test({
+      name: 'a',
+      children: [
+        { name: 'b', children: [] },
+        { name: 'c', children: [{ name: 'd', children: [] }] },
+      ],
+    })).toBe(true)
+
+    const error = Node.catch({
+      name: 'a',
+      children: [
+        { name: 'b', children: [{ name: 1, children: [] }] },
+      ],
+    })
+    expect(error).toBeInstanceOf(TyError)
+    expect(error.traces[0].keyPath).toEqual(['children', 0, 'children', 0, 'name'])
+  })
+
+  test('refer to each other', () => {
+    const Person = new Dict({
+      name: String,
+      pet: ifexist(lazy(() => Pet)),
+    })
+    const Pet = new Dict({
+      name: String,
+      owner: nullable(lazy(() => Person)),
+    })
+    expect(Person.test({ name: 'a', pet: { name: 'b', owner: null } })).toBe(true)
+    expect(Person.test({ name: 'a', pet: { name: 'b', owner: { name: 'c' } } })).toBe(true)
+    expect(Person.test({ name: 'a', pet: { name: 'b', owner: { name: 1 } } })).toBe(false)
+  })
+
+  test('List Tuple Enum', () => {
+    const Expr = new Enum([Number, lazy(() => Pair), lazy(() => Exprs)])
+    const Pair = new Tuple([String, lazy(() => Expr)])
+    const Exprs = new List([lazy(() => Expr)])
+    expect(Expr.test(1)).toBe(true)
+    expect(Expr.test(['a', 1])).toBe(true)
+    expect(Expr.test(['a', ['b', [1, 2, ['c', 3]]]])).toBe(true)
+    expect(Expr.test(['a', ['b', [1, 2, ['c', '3']]]])).toBe(false)
+  })
+
+  test('recursive value', () => {
+    const a = { name: 'a', children: [] }
+    a.children.push(a)
+    expect(Node.test(a)).toBe(true)
+    expect(Node.compile()(a)).toBeNull()
+
+    const b = { name: 1, children: [] }
+    b.children.push(b)
+    const error = Node.catch(b)
+    // the recursion stops when the same value comes again
+    expect(error.traces.map(item => item.keyPath)).toEqual([['name'], ['children', 0, 'name']])
+    expect(() => Ty.expect(b).to.be(new Dict({ name: String, children: [Object] }))).toThrowError()
+  })
+
+  test('cycle-safe message', () => {
+    const SomeType = new Dict({
+      name: String,
+      self: lazy(() => Number),
+    })
+    const a = { name: 'a' }
+    a.self = a
+    const error = SomeType.catch(a)
+    expect(error.message).toContain('[Circular]')
+  })
+
+  test('strict', () => {
+    const error = Node.Strict.catch({ name: 'a', children: [{ name: 'b', children: [], age: 1 }] })
+    expect(error.traces[0].keyPath).toEqual(['children', 0, 'age'])
+  })
+
+  test('compile', () => {
+    const validate = Node.compile()
+    const value = { name: 'a', children: [{ name: 'b', children: [{ name: 1, children: [] }] }] }
+    expect(validate(value).message).toBe(Node.catch(value).message)
+  })
+
+  test('mock', () => {
+    const value = Node.mock({ seed: 1 })
+    expect(Node.test(value)).toBe(true)
+  })
+
+  test('JSON Schema', () => {
+    expect(Node.toJSONSchema()).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        children: { type: 'array', items: { $ref: '#' } },
+      },
+      required: ['name', 'children'],
+    })
+  })
+
+  test('TypeScript', () => {
+    expect(Ty.toTypeScript(Node, { name: 'Node' })).toBe([
+      'export interface Node {',
+      '  name: string;',
+      '  children: Node[];',
+      '}',
+    ].join('\n'))
+  })
+
+  test('invalid', () => {
+    expect(() => lazy(Node)).toThrowError()
+    expect(() => new Lazy(() => ifexist(String)).catch('')).toThrowError()
+  })
+})
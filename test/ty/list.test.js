@@ -1,4 +1,4 @@
-import { List } from '../../src/ty/index.js'
+import { List, Dict, list, TyError } from '../../src/ty/index.js'
 
 describe('List', () => {
   describe('assert', () => {
@@ -31,6 +31,52 @@ describe('List', () => {
       expect(ListType.catch(['tomy', null])).toBeInstanceOf(Error)
     })
   })
+  describe('constraints', () => {
+    test('min max', () => {
+      const ListType = list([Number], { min: 1, max: 3 })
+      expect(ListType.test([1])).toBe(true)
+      expect(ListType.test([1, 2, 3])).toBe(true)
+
+      const short = ListType.catch([])
+      expect(short.traces[0]).toMatchObject({ type: 'tooShort', min: 1, length: 0 })
+      expect(short.message).toBe('$. length should be at least 1, but receive 0.')
+
+      const long = ListType.catch([1, 2, 3, 4])
+      expect(long.traces[0]).toMatchObject({ type: 'tooLong', max: 3, length: 4 })
+      expect(long.message).toBe('$. length should be at most 3, but receive 4.')
+    })
+    test('unique', () => {
+      const Users = new Dict({
+        users: list([new Dict({ id: Number })], { unique: 'id' }),
+      })
+      const error = Users.catch({ users: [{ id: 1 }, { id: 2 }, { id: 1 }] })
+      expect(error.traces).toHaveLength(1)
+      expect(error.traces[0]).toMatchObject({ type: 'duplicate', keyPath: ['users'], indexes: [0, 2] })
+      expect(error.message).toBe('$.users should be unique, but items at 0 and 2 are duplicate.')
+
+      expect(list([Object], { unique: true }).test([{ a: 1 }, { a: 1 }])).toBe(false)
+      expect(list([Object], { unique: true }).test([{ a: 1 }, { a: 2 }])).toBe(true)
+      expect(list([String], { unique: item => item.toLowerCase() }).test(['a', 'A'])).toBe(false)
+    })
+    test('sorted', () => {
+      expect(list([Number], { sorted: true }).test([1, 2, 2, 3])).toBe(true)
+      const error = list([Number], { sorted: (a, b) => b - a }).catch([3, 1, 2])
+      expect(error.traces[0]).toMatchObject({ type: 'unsorted', indexes: [1, 2] })
+    })
+    test('with item errors', () => {
+      const error = list([Number], { min: 3 }).catch([1, '2'])
+      expect(error).toBeInstanceOf(TyError)
+      expect(error.traces.map(item => item.type)).toEqual(['notin', 'tooShort'])
+    })
+    test('strict compile mock', () => {
+      const ListType = list([Number], { min: 2, max: 4, unique: true, sorted: true })
+      expect(ListType.Strict.test([1, 1])).toBe(false)
+      expect(ListType.compile()([2, 1, 1]).message).toBe(ListType.catch([2, 1, 1]).message)
+      for (let seed = 1; seed < 10; seed ++) {
+        expect(ListType.test(ListType.mock({ seed }))).toBe(true)
+      }
+    })
+  })
   describe('trace', () => {
     test('basic', (done) => {
       const ListType = new List([String, Number])
@@ -0,0 +1,68 @@
+import { MapOf, mapOf, Dict, Int, Any, Ty } from '../../src/ty/index.js'
+
+describe('MapOf', () => {
+  const Scores = new MapOf({ key: Object, value: Int })
+
+  test('basic', () => {
+    const a = {}
+    const b = {}
+    expect(Scores.test(new Map([[a, 1], [b, 2]]))).toBe(true)
+    expect(Scores.test(new Map())).toBe(true)
+    expect(Scores.test({})).toBe(false)
+    expect(Scores.test(new Map([[a, 1.1]]))).toBe(false)
+    expect(Scores.test(new Map([['a', 1]]))).toBe(false)
+    expect(() => new MapOf(String)).toThrowError()
+
+    expect(Scores.catch(5).message).toBe('$. should match `Map<Object, Int>`, but receive `5`.')
+    expect(Scores.compile()(5).message).toBe('$. should match `Map<Object, Int>`, but receive `5`.')
+  })
+
+  test('key path', () => {
+    const SomeType = new Dict({
+      scores: mapOf({ key: String, value: new Dict({ score: Int }) }),
+    })
+    const error = SomeType.catch({ scores: new Map([['a', { score: 1 }], ['b', { score: '2' }]]) })
+    expect(error.traces).toHaveLength(1)
+    expect(error.traces[0].keyPath).toEqual(['scores', 'b', 'score'])
+
+    // the key can not be in key path, use index of entry
+    const error2 = Scores.catch(new Map([[{}, 1], [{}, 'x']]))
+    expect(error2.traces[0].keyPath).toEqual(['[1]'])
+    expect(error2.traces[0].type).toBe('exception')
+
+    const error3 = Scores.catch(new Map([[1, 1]]))
+    expect(error3.traces[0]).toMatchObject({ type: 'illegal', keyPath: [1] })
+
+    // index of entry is not confused with number keys
+    const SomeMap = new MapOf({ key: Any, value: Int })
+    const error4 = SomeMap.catch(new Map([[0, 1], [{}, 'x'], [1, 'y']]))
+    expect(error4.traces.map(trace => trace.keyPath)).toEqual([['[1]'], [1]])
+    expect(SomeMap.compile()(new Map([[0, 1], [{}, 'x'], [1, 'y']])).traces.map(trace => trace.keyPath)).toEqual([['[1]'], [1]])
+  })
+
+  test('strict', () => {
+    const SomeType = mapOf({ key: String, value: new Dict({ score: Int }) })
+    const value = new Map([['a', { score: 1, other: 1 }]])
+    expect(SomeType.test(value)).toBe(true)
+    expect(SomeType.Strict.test(value)).toBe(false)
+  })
+
+  test('compile coerce mock', () => {
+    const SomeType = mapOf({ key: String, value: Number })
+    const value = new Map([['a', 1], ['b', '2']])
+    expect(SomeType.compile()(value).message).toBe(SomeType.catch(value).message)
+    expect(SomeType.compile()(new Map([['a', 1]]))).toBeNull()
+
+    const { value: output, error } = SomeType.coerce({ a: '1' })
+    expect(error).toBeNull()
+    expect(output).toEqual(new Map([['a', 1]]))
+
+    expect(SomeType.test(SomeType.mock({ seed: 1 }))).toBe(true)
+  })
+
+  test('TypeScript and JSON Schema', () => {
+    const SomeType = new Dict({ scores: mapOf({ key: String, value: Number }) })
+    expect(Ty.toTypeScript(SomeType, { name: 'Some' })).toContain('scores: Map<string, number>;')
+    expect(SomeType.toJSONSchema().properties.scores.$comment).toBe('tyshemo: Map can not be expressed')
+  })
+})
@@ -0,0 +1,108 @@
+import {
+  Type, Dict, List, Tuple, Enum, Range, Mapping, Prototype,
+  Int, Positive, Natural, String16, Numeric, Null, Float,
+  ifexist, nullable, equal, shouldexist, determine, match, shouldmatch, lambda,
+} from '../../src/ty/index.js'
+
+describe('mock', () => {
+  test('prototypes', () => {
+    const patterns = [Number, String, Boolean, Int, Positive, Natural, String16, Numeric, Null, Float, Date, Object, Array]
+    patterns.forEach((pattern) => {
+      const type = new Type(pattern)
+      for (let i = 0; i < 20; i ++) {
+        expect(type.test(type.mock({ seed: i }))).toBe(true)
+      }
+    })
+  })
+  test('RegExp', () => {
+    const patterns = [/^[a-z]{3,5}$/, /^\d{4}-\d{2}-\d{2}$/, /^(foo|bar)+baz?$/, /^[^0-9]+$/, /^\w+@\w+\.com$/]
+    patterns.forEach((pattern) => {
+      const type = new Type(pattern)
+      for (let i = 0; i < 20; i ++) {
+        expect(type.test(type.mock({ seed: i }))).toBe(true)
+      }
+    })
+  })
+  test('seed', () => {
+    const SomeDict = new Dict({
+      name: String,
+      age: Int,
+      tags: [String],
+    })
+    expect(SomeDict.mock({ seed: 10 })).toEqual(SomeDict.mock({ seed: 10 }))
+    expect(SomeDict.mock({ seed: 'some' })).toEqual(SomeDict.mock({ seed: 'some' }))
+    expect(SomeDict.mock({ seed: 10 })).not.toEqual(SomeDict.mock({ seed: 11 }))
+  })
+  test('types', () => {
+    const types = [
+      new Dict({
+        name: String,
+        age: ifexist(Natural),
+        note: nullable(String16),
+        kind: equal('person'),
+        pos: new Tuple([Number, ifexist(Number)]),
+        color: new Enum(['red', 'blue']),
+        percent: new Range({ min: 0, max: 100, minBound: false }),
+        scores: new Mapping({ key: Numeric, value: Number }),
+        some: match([shouldmatch(String), shouldmatch(/^a/)]),
+        fn: lambda([Number], Number),
+      }),
+      new List([Int, String]),
+      new Tuple([String, Int, ifexist(Boolean)]),
+      new Enum([String, new Dict({ a: Number })]),
+      new Range({ min: -Infinity, max: 0 }),
+    ]
+    types.forEach((type) => {
+      for (let i = 0; i < 20; i ++) {
+        expect(type.test(type.mock({ seed: i }))).toBe(true)
+      }
+    })
+  })
+  test('ifexist and nullable', () => {
+    const SomeDict = new Dict({
+      a: ifexist(Number),
+      b: nullable(Number),
+    })
+    const values = []
+    for (let i = 0; i < 20; i ++) {
+      values.push(SomeDict.mock({ seed: i }))
+    }
+    expect(values.some(value => !('a' in value))).toBe(true)
+    expect(values.some(value => 'a' in value)).toBe(true)
+    expect(values.some(value => value.b === null)).toBe(true)
+    expect(values.some(value => typeof value.b === 'number')).toBe(true)
+  })
+  test('dependent rules', () => {
+    const SomeDict = new Dict({
+      name: shouldexist(data => data.has, String),
+      body: determine(data => data.has, Object, Null),
+      has: Boolean,
+    })
+    for (let i = 0; i < 20; i ++) {
+      const value = SomeDict.mock({ seed: i })
+      expect(SomeDict.test(value)).toBe(true)
+      if (value.has) {
+        expect(typeof value.name).toBe('string')
+      }
+    }
+  })
+  test('maxLength', () => {
+    const SomeList = new List([Number])
+    for (let i = 0; i < 20; i ++) {
+      expect(SomeList.mock({ seed: i, maxLength: 2 }).length <= 2).toBe(true)
+    }
+  })
+  test('custom prototype', () => {
+    const Even = new Prototype({
+      name: 'Even',
+      validate: value => typeof value === 'number' && value % 2 === 0,
+    })
+    expect(new Type(Even).test(new Type(Even).mock({ seed: 1 }))).toBe(true)
+
+    const Never = new Prototype({
+      name: 'Never',
+      validate: () => false,
+    })
+    expect(() => new Type(Never).mock()).toThrowError()
+  })
+})
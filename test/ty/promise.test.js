@@ -0,0 +1,92 @@
+import {
+  Dict, TyError,
+  Int,
+  ifexist, promise, asyncLambda,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('promise', () => {
+  const User = new Dict({ name: String, age: Int })
+
+  test('promise', async () => {
+    const SomeType = new Dict({ user: promise(User) })
+    expect(SomeType.test({ user: {} })).toBe(false)
+    expect(() => SomeType.assert({ user: 1 })).toThrowError('$.user should match `Promise<{ name: String, age: Int }>`')
+
+    const data = { user: Promise.resolve({ name: 'tomy', age: 10 }) }
+    SomeType.assert(data)
+    expect(await data.user).toEqual({ name: 'tomy', age: 10 })
+
+    const invalid = { user: Promise.resolve({ name: 'tomy', age: '10' }) }
+    SomeType.assert(invalid)
+    const error = await invalid.user.catch(e => e)
+    expect(error).toBeInstanceOf(TyError)
+    expect(error.message).toBe('$.user.age should match `Int`, but receive `"10"`.')
+
+    // the original rejection is kept
+    const failed = { user: Promise.reject(new Error('network')) }
+    SomeType.assert(failed)
+    await expect(failed.user).rejects.toThrowError('network')
+
+    // validating again does not replace the promise again
+    const user = data.user
+    SomeType.assert(data)
+    expect(data.user).toBe(user)
+  })
+
+  test('asyncLambda', async () => {
+    const Api = new Dict({
+      getUser: asyncLambda([String], User),
+    })
+    const users = { a: { name: 'a', age: 1 }, b: { name: 'b' } }
+    const api = {
+      getUser(id) {
+        return Promise.resolve(users[id])
+      },
+    }
+    Api.assert(api)
+
+    expect(await api.getUser('a')).toEqual(users.a)
+    const error = await api.getUser('b').catch(e => e)
+    expect(error).toBeInstanceOf(TyError)
+    expect(error.message).toBe('$.getUser.age is missing.')
+    // parameters are rejected too, not thrown
+    const output = api.getUser(1)
+    expect(output).toBeInstanceOf(Promise)
+    await expect(output).rejects.toThrowError('$.getUser[0] should match `String`, but receive `1`.')
+
+    // validating again does not wrap the function again
+    const { getUser } = api
+    Api.assert(api)
+    expect(api.getUser).toBe(getUser)
+
+    expect(() => asyncLambda(String, User)).toThrowError('asyncLambda InputType should be a Tuple')
+  })
+
+  test('describe TypeScript and definition', async () => {
+    const Api = new Dict({
+      getUser: asyncLambda([String, ifexist(Int)], User),
+      user: promise(User),
+    })
+    expect(Api.describe()).toBe('{ getUser: (String, Int?) => Promise<{ name: String, age: Int }>, user: Promise<{ name: String, age: Int }> }')
+    expect(Ty.toTypeScript(Api, { name: 'Api' })).toBe([
+      'export interface Api {',
+      '  getUser: (arg0: string, arg1?: number) => Promise<{',
+      '    name: string;',
+      '    age: number;',
+      '  }>;',
+      '  user: Promise<{',
+      '    name: string;',
+      '    age: number;',
+      '  }>;',
+      '}',
+    ].join('\n'))
+
+    const Restored = Ty.parseDefinition(JSON.stringify(Api.toDefinition()))
+    expect(Restored.describe()).toBe(Api.describe())
+
+    const value = Api.mock()
+    expect(await value.getUser('a')).toEqual(expect.objectContaining({ name: expect.any(String) }))
+    expect(User.test(await value.user)).toBe(true)
+  })
+})
@@ -1,4 +1,8 @@
-import { Null, Undefined, Numeric, Int, Float, Any, Type } from '../../src/ty/index.js'
+import {
+  Null, Undefined, Numeric, Int, Float, Any, Type, Dict,
+  Email, Url, Uuid, IsoDate, IsoDateTime, Ipv4, Ipv6, HexColor, Semver, Phone, StringOf, TypedArray,
+  Ty,
+} from '../../src/ty/index.js'
 
 describe('Prototypes', () => {
   test('Null', () => {
@@ -39,4 +43,73 @@ describe('Prototypes', () => {
     expect(SomeType.test([])).toBe(true)
     expect(SomeType.test({})).toBe(true)
   })
+  describe('string formats', () => {
+    const cases = [
+      [Email, ['a@b.com', 'a.b+c@d-e.org'], ['a@b', 'a b@c.com', '@b.com', 'a@.com']],
+      [Url, ['https://a.com', 'http://a.com/b?c=1#d', 'ftp://a'], ['a.com', 'https://', 'https://a b.com']],
+      [Uuid, ['123e4567-e89b-12d3-a456-426614174000', '00000000-0000-0000-0000-000000000000'], ['123e4567e89b12d3a456426614174000', '123e4567-e89b-12d3-a456-42661417400g']],
+      [IsoDate, ['2020-02-29', '1999-12-31'], ['2021-02-29', '2020-13-01', '2020-1-1', '2020-01-01T00:00:00Z']],
+      [IsoDateTime, ['2020-01-01T00:00:00Z', '2020-01-01T23:59:59.123+08:00'], ['2020-01-01', '2020-01-01T24:00:00Z', '2020-01-01T00:00:00']],
+      [Ipv4, ['0.0.0.0', '192.168.1.255'], ['256.0.0.1', '1.2.3', '01.2.3.4']],
+      [Ipv6, ['::', '::1', '2001:db8::8a2e:370:7334', '2001:0db8:0000:0000:0000:ff00:0042:8329', '::ffff:192.168.0.1'], ['2001:db8::1::1', '12345::', '1:2:3:4:5:6:7', '::ffff:192.168.0.256']],
+      [HexColor, ['#fff', '#FFFFFF', '#ffffff80'], ['fff', '#ff', '#ggg']],
+      [Semver, ['1.0.0', '1.0.0-alpha.1+build.5'], ['1.0', '01.0.0', '1.0.0-01']],
+      [Phone, ['+8613800000000', '+14155552671'], ['13800000000', '+0123', '+1234567890123456']],
+    ]
+    cases.forEach(([proto, valid, invalid]) => {
+      test(proto.name, () => {
+        const SomeType = new Type(proto)
+        valid.forEach(value => expect(SomeType.test(value)).toBe(true))
+        invalid.forEach(value => expect(SomeType.test(value)).toBe(false))
+        expect(SomeType.test(1)).toBe(false)
+        expect(SomeType.test(SomeType.mock({ seed: 1 }))).toBe(true)
+      })
+    })
+    test('message', () => {
+      const SomeType = new Dict({ email: Email })
+      expect(SomeType.catch({ email: 'a' }).message).toBe('$.email should match `Email`, but receive `"a"`.')
+    })
+    test('StringOf', () => {
+      const Username = StringOf({ min: 3, max: 8, pattern: /^[a-z]+$/ })
+      const SomeType = new Type(Username)
+      expect(SomeType.test('abc')).toBe(true)
+      expect(SomeType.test('ab')).toBe(false)
+      expect(SomeType.test('abcdefghi')).toBe(false)
+      expect(SomeType.test('abC')).toBe(false)
+      expect(SomeType.catch('ab').message).toBe('$. should match `StringOf(3,8,/^[a-z]+$/)`, but receive `"ab"`.')
+      expect(SomeType.test(SomeType.mock({ seed: 1 }))).toBe(true)
+      expect(SomeType.toJSONSchema()).toMatchObject({ type: 'string', minLength: 3, maxLength: 8, pattern: '^[a-z]+$' })
+      expect(new Type(StringOf({ max: 2 })).coerce(10).value).toBe('10')
+    })
+    test('JSON Schema and TypeScript', () => {
+      const SomeType = new Dict({ email: Email, at: IsoDateTime, color: HexColor })
+      expect(SomeType.toJSONSchema().properties).toMatchObject({
+        email: { type: 'string', format: 'email' },
+        at: { type: 'string', format: 'date-time' },
+        color: { type: 'string' },
+      })
+      const Parsed = Ty.fromJSONSchema(SomeType.toJSONSchema())
+      expect(Parsed.pattern.email).toBe(Email)
+      expect(Parsed.test({ email: 'a@b.com', at: '2020-01-01T00:00:00Z', color: '#fff' })).toBe(true)
+      expect(Parsed.test({ email: 'a@b.com', at: '2020-01-01T00:00:00Z', color: 'fff' })).toBe(false)
+      expect(Ty.toTypeScript(SomeType, { name: 'Some' })).toContain('email: string;')
+    })
+    test('coerce date', () => {
+      const date = new Date('2020-01-02T03:04:05.000Z')
+      expect(new Type(IsoDate).coerce(date).value).toBe('2020-01-02')
+      expect(new Type(IsoDateTime).coerce(date).value).toBe('2020-01-02T03:04:05.000Z')
+    })
+  })
+  describe('binary', () => {
+    test('ArrayBuffer and typed arrays', () => {
+      const SomeType = new Dict({ buffer: ArrayBuffer, bytes: Uint8Array, view: TypedArray })
+      const value = { buffer: new ArrayBuffer(2), bytes: new Uint8Array(2), view: new Float32Array(1) }
+      expect(SomeType.test(value)).toBe(true)
+      expect(SomeType.test({ ...value, bytes: [1, 2] })).toBe(false)
+      expect(SomeType.test({ ...value, view: new DataView(new ArrayBuffer(1)) })).toBe(false)
+      expect(SomeType.test(SomeType.mock({ seed: 1 }))).toBe(true)
+      expect(SomeType.coerce({ ...value, bytes: [1, 2] }).value.bytes).toEqual(new Uint8Array([1, 2]))
+      expect(Ty.toTypeScript(SomeType, { name: 'Some' })).toContain('bytes: Uint8Array;')
+    })
+  })
 })
@@ -1,4 +1,4 @@
-import { Range } from '../../src/ty/index.js'
+import { Range, range, Dict, Ty } from '../../src/ty/index.js'
 
 describe('Range', () => {
   test('range', () => {
@@ -15,4 +15,85 @@ describe('Range', () => {
     expect(() => RangeType.assert(-1)).toThrowError()
     expect(() => RangeType.assert(101)).toThrowError()
   })
+  test('date', () => {
+    const DateType = range({ min: new Date('2020-01-01T00:00:00Z'), max: '2020-12-31', maxBound: false })
+    expect(DateType.test(new Date('2020-06-01'))).toBe(true)
+    expect(DateType.test('2020-06-01')).toBe(true)
+    expect(DateType.test('2020-06-01T08:00:00+08:00')).toBe(true)
+    expect(DateType.test('2020-01-01')).toBe(true)
+    expect(DateType.test('2020-12-31')).toBe(false)
+    expect(DateType.test('2019-12-31T23:59:59Z')).toBe(false)
+    expect(DateType.test(new Date('x'))).toBe(false)
+    expect(DateType.test('2020-06-32')).toBe(false)
+    expect(DateType.test(1590969600000)).toBe(false)
+
+    const Window = range({ min: new Date('2020-01-01T00:00:00Z'), max: Infinity })
+    expect(Window.test(new Date('2100-01-01'))).toBe(true)
+  })
+  test('bigint', () => {
+    const BigType = range({ min: 0n, max: 100000000000000000000n })
+    expect(BigType.test(1n)).toBe(true)
+    expect(BigType.test(100000000000000000001n)).toBe(false)
+    expect(BigType.test(1)).toBe(false)
+    expect(BigType.coerce('10').value).toBe(10n)
+    expect(BigType.coerce(10).value).toBe(10n)
+    expect(BigType.coerce('1.5').value).toBe('1.5')
+
+    // no precision is lost above 2^53
+    const Huge = range({ min: 0n, max: 1000000000000000000000000000000n })
+    expect(Huge.coerce('100000000000000000001').value).toBe(100000000000000000001n)
+    expect(Huge.coerce(' -1 ')).toMatchObject({ value: -1n })
+  })
+  test('invalid date bound', () => {
+    expect(() => range({ min: 'not a date', max: Infinity })).toThrowError('[Range]: min should be a valid date.')
+    expect(() => range({ min: '2020-01-01', max: new Date('x') })).toThrowError('[Range]: max should be a valid date.')
+    expect(() => range({ min: 0, max: Infinity, of: 'date' })).not.toThrowError()
+  })
+  test('length', () => {
+    const Name = range({ min: 1, max: 4, of: 'length' })
+    expect(Name.test('a')).toBe(true)
+    expect(Name.test([1, 2, 3, 4])).toBe(true)
+    expect(Name.test('')).toBe(false)
+    expect(Name.test('abcde')).toBe(false)
+    expect(Name.test(1)).toBe(false)
+    expect(() => range({ min: 1, max: 4, of: 'size' })).toThrowError()
+  })
+  test('message', () => {
+    const SomeType = new Dict({ at: range({ min: new Date('2020-01-01T00:00:00Z'), max: Infinity }) })
+    expect(SomeType.catch({ at: '2019-01-01' }).message).toBe('$.at should match `Range[2020-01-01T00:00:00.000Z, Infinity]`, but receive `"2019-01-01"`.')
+  })
+  test('compile mock', () => {
+    const types = [
+      range({ min: 0, max: 1, minBound: false }),
+      range({ min: new Date('2020-01-01T00:00:00Z'), max: new Date('2020-01-02T00:00:00Z') }),
+      range({ min: -5n, max: 5n, maxBound: false }),
+      range({ min: 2, max: 3, of: 'length' }),
+    ]
+    types.forEach((type) => {
+      for (let seed = 1; seed < 10; seed ++) {
+        const value = type.mock({ seed })
+        expect(type.test(value)).toBe(true)
+        expect(type.compile()(value)).toBeNull()
+      }
+      expect(type.compile()(null).message).toBe(type.catch(null).message)
+    })
+  })
+  test('JSON Schema and TypeScript', () => {
+    expect(range({ min: 1, max: 4, of: 'length', maxBound: false }).toJSONSchema()).toMatchObject({ minLength: 1, minItems: 1, maxLength: 3, maxItems: 3 })
+    expect(range({ min: 0n, max: 9n }).toJSONSchema()).toMatchObject({ type: 'integer', minimum: 0, maximum: 9 })
+    // infinite bounds mean no limit
+    expect(range({ min: 0, max: Infinity }).toJSONSchema()).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'number',
+      minimum: 0,
+    })
+    expect(range({ min: -Infinity, max: 1, maxBound: false }).toJSONSchema()).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'number',
+      exclusiveMaximum: 1,
+    })
+    expect(range({ min: '2020-01-01', max: Infinity }).toJSONSchema()).toMatchObject({ type: 'string', format: 'date-time' })
+    const SomeType = new Dict({ at: range({ min: '2020-01-01', max: Infinity }), name: range({ min: 1, max: 4, of: 'length' }) })
+    expect(Ty.toTypeScript(SomeType, { name: 'Some' })).toContain('at: Date | string;')
+  })
 })
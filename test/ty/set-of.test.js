@@ -0,0 +1,38 @@
+import { SetOf, setOf, Dict, Int, Ty } from '../../src/ty/index.js'
+
+describe('SetOf', () => {
+  test('basic', () => {
+    const Ids = new SetOf(Int)
+    expect(Ids.test(new Set([1, 2]))).toBe(true)
+    expect(Ids.test(new Set())).toBe(true)
+    expect(Ids.test([1, 2])).toBe(false)
+    expect(Ids.test(new Set([1, 2.2]))).toBe(false)
+  })
+
+  test('key path', () => {
+    const SomeType = new Dict({
+      tags: setOf(new Dict({ name: String })),
+    })
+    const error = SomeType.catch({ tags: new Set([{ name: 'a' }, { name: 'b' }, { name: 1 }]) })
+    expect(error.traces).toHaveLength(1)
+    expect(error.traces[0].keyPath).toEqual(['tags', 2, 'name'])
+  })
+
+  test('compile coerce mock', () => {
+    const SomeType = setOf(Number)
+    const value = new Set([1, '2'])
+    expect(SomeType.compile()(value).message).toBe(SomeType.catch(value).message)
+    expect(SomeType.compile()(new Set([1]))).toBeNull()
+
+    const { value: output, error } = SomeType.coerce(['1', 2])
+    expect(error).toBeNull()
+    expect(output).toEqual(new Set([1, 2]))
+
+    expect(SomeType.test(SomeType.mock({ seed: 1 }))).toBe(true)
+  })
+
+  test('TypeScript', () => {
+    const SomeType = new Dict({ tags: setOf(String) })
+    expect(Ty.toTypeScript(SomeType, { name: 'Some' })).toContain('tags: Set<string>;')
+  })
+})
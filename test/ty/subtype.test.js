@@ -0,0 +1,148 @@
+import {
+  Dict, List, Tuple, Enum, Range, Mapping, MapOf, SetOf, Type,
+  Int, Natural, Zero, Positive, Finity, Numeric, String8, String16, Email, Null, Any, StringOf,
+  ifexist, nullable, rest, lazy, match,
+  Ty,
+} from '../../src/ty/index.js'
+
+describe('isSubtype', () => {
+  test('prototypes', () => {
+    expect(Ty.isSubtype(Int, Number).passed).toBe(true)
+    expect(Ty.isSubtype(Natural, Int).passed).toBe(true)
+    expect(Ty.isSubtype(Zero, Number).passed).toBe(true)
+    expect(Ty.isSubtype(String8, String16).passed).toBe(true)
+    expect(Ty.isSubtype(Email, String).passed).toBe(true)
+    expect(Ty.isSubtype(Numeric, String).passed).toBe(true)
+    expect(Ty.isSubtype(String, Any).passed).toBe(true)
+    expect(Ty.isSubtype(StringOf({ min: 2, max: 8 }), StringOf({ max: 16 })).passed).toBe(true)
+    expect(Ty.isSubtype(String8, StringOf({ max: 16 })).passed).toBe(true)
+    expect(Ty.isSubtype(/^a/, String).passed).toBe(true)
+    expect(Ty.isSubtype('a', String).passed).toBe(true)
+    expect(Ty.isSubtype(Null, null).passed).toBe(true)
+
+    const { passed, issues, message } = Ty.isSubtype(Number, Int)
+    expect(passed).toBe(false)
+    expect(issues[0]).toMatchObject({ type: 'mismatch', keyPath: [], sub: Number, sup: Int })
+    expect(message).toBe('$. `Number` is not a subtype of `Int`.')
+
+    expect(Ty.isSubtype(String16, String8).passed).toBe(false)
+    expect(Ty.isSubtype(1.1, Int).passed).toBe(false)
+  })
+
+  test('Finity', () => {
+    // Number contains Infinity, but Finity does not
+    expect(new Type(Finity).test(Infinity)).toBe(false)
+    expect(Ty.isSubtype(Number, Finity).passed).toBe(false)
+    expect(Ty.isSubtype(Finity, Number).passed).toBe(true)
+    expect(Ty.isSubtype(Int, Finity).passed).toBe(true)
+    expect(Ty.isSubtype(Natural, Finity).passed).toBe(true)
+    expect(Ty.isSubtype(Positive, Finity).passed).toBe(false)
+
+    expect(new Range({ min: 0, max: Infinity }).test(Infinity)).toBe(true)
+    expect(Ty.isSubtype(new Range({ min: 0, max: Infinity }), Finity).passed).toBe(false)
+    expect(Ty.isSubtype(new Range({ min: -Infinity, max: 0 }), Finity).passed).toBe(false)
+    expect(Ty.isSubtype(new Range({ min: 0, max: 10 }), Finity).passed).toBe(true)
+  })
+
+  test('classes', () => {
+    class A {}
+    class B extends A {}
+    expect(Ty.isSubtype(B, A).passed).toBe(true)
+    expect(Ty.isSubtype(A, B).passed).toBe(false)
+  })
+
+  test('Range', () => {
+    expect(Ty.isSubtype(new Range({ min: 1, max: 10 }), new Range({ min: 0, max: 10 })).passed).toBe(true)
+    expect(Ty.isSubtype(new Range({ min: 0, max: 10 }), new Range({ min: 0, max: 10, minBound: false })).passed).toBe(false)
+    expect(Ty.isSubtype(new Range({ min: 0, max: 10, minBound: false }), Positive).passed).toBe(true)
+    expect(Ty.isSubtype(new Range({ min: 0, max: 10 }), Int).passed).toBe(false)
+    expect(Ty.isSubtype(Natural, new Range({ min: 0, max: Infinity })).passed).toBe(true)
+    expect(Ty.isSubtype(Int, new Range({ min: 0, max: Infinity })).passed).toBe(false)
+    expect(Ty.isSubtype(
+      new Range({ min: '2020-02-01', max: '2020-03-01' }),
+      new Range({ min: new Date('2020-01-01'), max: Infinity }),
+    ).passed).toBe(true)
+  })
+
+  test('Dict', () => {
+    const Consumer = new Dict({
+      name: String,
+      age: Int,
+      note: ifexist(String),
+    })
+    expect(Ty.isSubtype(new Dict({ name: String8, age: Natural, other: Number }), Consumer).passed).toBe(true)
+
+    const { issues } = Ty.isSubtype(new Dict({ name: String, age: ifexist(Number), note: Number }), Consumer)
+    expect(issues.map(({ type, keyPath }) => ({ type, keyPath }))).toEqual([
+      { type: 'optional', keyPath: ['age'] },
+      { type: 'mismatch', keyPath: ['age'] },
+      { type: 'mismatch', keyPath: ['note'] },
+    ])
+
+    const { issues: issues2, message } = Ty.isSubtype(new Dict({ age: Int }), Consumer)
+    expect(issues2[0]).toMatchObject({ type: 'missing', keyPath: ['name'] })
+    expect(message).toBe('$.name is required by `Dict`, but not defined in `Dict`.')
+
+    // nested
+    const A = new Dict({ user: { name: String, tags: [String8] } })
+    const B = new Dict({ user: new Dict({ name: String, tags: [String16] }) })
+    expect(Ty.isSubtype(A, B).passed).toBe(true)
+    expect(Ty.isSubtype(B, A).issues[0].keyPath).toEqual(['user', 'tags', '[]'])
+  })
+
+  test('strict', () => {
+    const A = new Dict({ name: String })
+    const B = new Dict({ name: String, age: ifexist(Number) })
+    expect(Ty.isSubtype(A, B.Strict).issues[0].type).toBe('loose')
+    expect(Ty.isSubtype(A.Strict, B.Strict).passed).toBe(true)
+    expect(Ty.isSubtype(B.Strict, A.Strict).issues[0]).toMatchObject({ type: 'overflow', keyPath: ['age'] })
+    expect(Ty.isSubtype(A, A.Strict).passed).toBe(false)
+    expect(Ty.isSubtype(A.Strict, A).passed).toBe(true)
+  })
+
+  test('List and Tuple', () => {
+    expect(Ty.isSubtype(new List([Int]), new List([Number, String])).passed).toBe(true)
+    expect(Ty.isSubtype(new List([Int, String]), new List([Number])).passed).toBe(false)
+    expect(Ty.isSubtype(new List([Int], { min: 2 }), new List([Int], { min: 1 })).passed).toBe(true)
+    expect(Ty.isSubtype(new List([Int]), new List([Int], { min: 1 })).issues[0]).toMatchObject({ type: 'constraint' })
+
+    expect(Ty.isSubtype(new Tuple([String, Int]), new Tuple([String, Number])).passed).toBe(true)
+    expect(Ty.isSubtype(new Tuple([String]), new Tuple([String, Number])).issues[0]).toMatchObject({ type: 'missing', keyPath: [1] })
+    expect(Ty.isSubtype(new Tuple([String, ifexist(Int)]), new Tuple([String, Number])).issues[0]).toMatchObject({ type: 'optional', keyPath: [1] })
+    expect(Ty.isSubtype(new Tuple([String, Int, rest(Int)]), new Tuple([String, rest(Number)])).passed).toBe(true)
+    expect(Ty.isSubtype(new Tuple([String, Int]).Strict, new Tuple([String]).Strict).issues[0]).toMatchObject({ type: 'overflow', keyPath: [1] })
+    expect(Ty.isSubtype(new Tuple([Int, Int]).Strict, new List([Number])).passed).toBe(true)
+    expect(Ty.isSubtype(new Tuple([Int, Int]), new List([Number])).passed).toBe(false)
+  })
+
+  test('Enum and nullable', () => {
+    const Color = new Enum(['red', 'blue', 'yellow'])
+    expect(Ty.isSubtype(new Enum(['red', 'blue']), Color).passed).toBe(true)
+    expect(Ty.isSubtype(Color, new Enum(['red', 'blue'])).issues[0].sub).toBe('yellow')
+    expect(Ty.isSubtype('red', Color).passed).toBe(true)
+    expect(Ty.isSubtype(Color, String).passed).toBe(true)
+    expect(Ty.isSubtype(new Dict({ a: String }), new Dict({ a: nullable(String) })).passed).toBe(true)
+    expect(Ty.isSubtype(new Dict({ a: nullable(String) }), new Dict({ a: String })).passed).toBe(false)
+  })
+
+  test('Mapping MapOf SetOf', () => {
+    expect(Ty.isSubtype(new Mapping({ key: Numeric, value: Int }), new Mapping({ key: String, value: Number })).passed).toBe(true)
+    expect(Ty.isSubtype(new MapOf({ key: Int, value: String }), new MapOf({ key: Number, value: String })).passed).toBe(true)
+    expect(Ty.isSubtype(new SetOf(Number), new SetOf(Int)).issues[0].keyPath).toEqual(['*'])
+    expect(Ty.isSubtype(new SetOf(Number), Set).passed).toBe(true)
+  })
+
+  test('recursive', () => {
+    const A = new Dict({ name: String8, children: [lazy(() => A)] })
+    const B = new Dict({ name: String, children: [lazy(() => B)] })
+    expect(Ty.isSubtype(A, B).passed).toBe(true)
+    expect(Ty.isSubtype(B, A).passed).toBe(false)
+  })
+
+  test('unknown', () => {
+    const rule = match([String, /^a/])
+    expect(Ty.isSubtype(new Dict({ a: rule }), new Dict({ a: rule })).passed).toBe(true)
+    expect(Ty.isSubtype(new Dict({ a: match([String]) }), new Dict({ a: rule })).issues[0].type).toBe('unknown')
+    expect(Ty.isSubtype(new Type(Int), new Type(Number)).passed).toBe(true)
+  })
+})
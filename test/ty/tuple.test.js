@@ -1,4 +1,4 @@
-import { Tuple } from '../../src/ty/index.js'
+import { Tuple, rest, ifexist, lambda, Dict, Ty } from '../../src/ty/index.js'
 
 describe('Tuple', () => {
   describe('assert', () => {
@@ -22,6 +22,74 @@ describe('Tuple', () => {
       expect(TupleType.catch(['name', null])).toBeInstanceOf(Error)
     })
   })
+  describe('rest and optional', () => {
+    test('rest', () => {
+      const TupleType = new Tuple([String, Number, rest(Boolean)])
+      expect(TupleType.test(['a', 1])).toBe(true)
+      expect(TupleType.test(['a', 1, true, false])).toBe(true)
+      expect(TupleType.test(['a'])).toBe(false)
+
+      const error = TupleType.catch(['a', 1, true, 'false', false])
+      expect(error.traces.map(item => item.keyPath)).toEqual([[3]])
+      expect(error.message).toBe('$.3 should match `Boolean`, but receive `"false"`.')
+      expect(() => new Tuple([rest(Boolean), String])).toThrowError()
+    })
+    test('optional trailing positions', () => {
+      const TupleType = new Tuple([String, ifexist(Number), ifexist(String)])
+      expect(TupleType.test(['a'])).toBe(true)
+      expect(TupleType.test(['a', 1])).toBe(true)
+      expect(TupleType.test(['a', 1, 'b'])).toBe(true)
+      expect(TupleType.catch(['a', 'b']).traces[0].keyPath).toEqual([1])
+      expect(TupleType.catch([]).message).toBe('$.0 is missing.')
+    })
+    test('strict', () => {
+      const TupleType = new Tuple([String, ifexist(Number)]).Strict
+      expect(TupleType.test(['a'])).toBe(true)
+      expect(TupleType.test(['a', 1])).toBe(true)
+
+      const error = TupleType.catch(['a', 1, 2, 3])
+      expect(error.traces.map(item => item.keyPath)).toEqual([[2], [3]])
+      expect(error.traces[0].type).toBe('overflow')
+
+      expect(new Tuple([String, rest(Number)]).Strict.test(['a', 1, 2])).toBe(true)
+
+      // plain strict tuple reports the length
+      const PlainType = new Tuple([String, Number]).Strict
+      const dirty = PlainType.catch(['a', 1, 2])
+      expect(dirty.traces).toHaveLength(1)
+      expect(dirty.traces[0]).toMatchObject({ type: 'dirty', keyPath: [] })
+      expect(dirty.message).toBe('$. receive `["a",1,2]` whose length does not match `[String, Number]`.')
+      expect(PlainType.catch(['a']).traces[0].type).toBe('dirty')
+      expect(PlainType.compile()(['a']).message).toBe(PlainType.catch(['a']).message)
+      expect(PlainType.test(['a', 1])).toBe(true)
+    })
+    test('compile mock coerce', () => {
+      const TupleType = new Tuple([String, ifexist(Number), rest(Boolean)])
+      const value = ['a', 1, true, 'x']
+      expect(TupleType.compile()(value).message).toBe(TupleType.catch(value).message)
+      expect(TupleType.test(TupleType.mock({ seed: 1 }))).toBe(true)
+      expect(TupleType.coerce(['a', '1', 'true']).value).toEqual(['a', 1, true])
+      expect(Ty.toTypeScript(TupleType, { name: 'Some' })).toBe('export type Some = [string, number?, ...boolean[]];')
+    })
+    test('lambda', () => {
+      const SomeType = new Dict({
+        fn: lambda([String, rest(Number)], Number),
+      })
+      const data = { fn: (a, ...args) => args.length }
+      SomeType.assert(data)
+      expect(data.fn('a', 1, 2)).toBe(2)
+      expect(() => data.fn('a', 1, '2')).toThrowError('$.2')
+    })
+    test('decorate input', () => {
+      const target = {}
+      const descriptor = {
+        value: (a, ...args) => args.length,
+      }
+      const decorated = Ty.decorate('input').with([String, rest(Number)])(target, 'fn', descriptor)
+      expect(decorated.value('a', 1, 2)).toBe(2)
+      expect(() => decorated.value('a', 1, '2')).toThrowError('$.2')
+    })
+  })
   describe('trace', () => {
     test('basic', (done) => {
       const TupleType = new Tuple([String, Number])
@@ -0,0 +1,72 @@
+import {
+  Ty, Dict, List, Tuple, Enum, Range, Mapping,
+  Int, Null, Numeric,
+  ifexist, nullable, equal, lambda, instance,
+} from '../../src/ty/index.js'
+
+describe('TypeScript', () => {
+  test('Dict', () => {
+    const ParentDict = new Dict({
+      name: String,
+    })
+    const SomeDict = new Dict({
+      name: String,
+      age: ifexist(Int),
+      note: nullable(String),
+      kind: equal('person'),
+      tags: [String, Number],
+      parent: ParentDict,
+      pos: new Tuple([Number, ifexist(Number)]),
+      color: new Enum(['red', 'blue']),
+      percent: new Range({ min: 0, max: 100 }),
+      scores: new Mapping({ key: Numeric, value: Number }),
+      'some-key': Null,
+      do: lambda([Number, String], Boolean),
+      date: Date,
+    })
+    expect(Ty.toTypeScript(SomeDict, { name: 'Some' })).toBe([
+      'export interface Some {',
+      '  name: string;',
+      '  age?: number;',
+      '  note: string | null;',
+      '  kind: "person";',
+      '  tags: (string | number)[];',
+      '  parent: {',
+      '    name: string;',
+      '  };',
+      '  pos: [number, number?];',
+      '  color: "red" | "blue";',
+      '  percent: number;',
+      '  scores: { [key: string]: number };',
+      '  "some-key": null;',
+      '  do: (arg0: number, arg1: string) => boolean;',
+      '  date: Date;',
+      '}',
+    ].join('\n'))
+  })
+  test('type alias', () => {
+    expect(Ty.toTypeScript(new List([String]), { name: 'Names' })).toBe('export type Names = string[];')
+    expect(Ty.toTypeScript(new Enum([String, Null]), { name: 'Some' })).toBe('export type Some = string | null;')
+  })
+  test('resolve', () => {
+    const UserDict = new Dict({ name: String })
+    const SomeDict = new Dict({
+      user: UserDict,
+      users: new List([UserDict]),
+    })
+    const output = Ty.toTypeScript(SomeDict, {
+      name: 'Some',
+      resolve: pattern => pattern === UserDict ? 'User' : undefined,
+    })
+    expect(output).toBe('export interface Some {\n  user: User;\n  users: User[];\n}')
+  })
+  test('class name', () => {
+    class Point {
+      static name = 'x'
+    }
+    expect(Ty.toTypeScript(new Dict({ point: instance(Point), date: instance(Date) }), { name: 'Some' })).toBe('export interface Some {\n  point: Point;\n  date: Date;\n}')
+  })
+  test('name is required', () => {
+    expect(() => Ty.toTypeScript(new Dict({}))).toThrowError()
+  })
+})